@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * API Key CLI for Salon Receptionist MCP
+ * Issue, list and revoke keys for the HTTP wrapper
+ *
+ * Usage:
+ *   node api-keys.js issue --tenant salon-farah [--tools book_appointment,get_available_slots] [--label "n8n"] [--rate-limit 60]
+ *   node api-keys.js issue --admin [--label "ops"]
+ *   node api-keys.js list --tenant salon-farah | --admin
+ *   node api-keys.js revoke --tenant salon-farah KEY-1A2B3C4D | --admin KEY-1A2B3C4D
+ */
+
+import database from './src/services/database.js';
+import { ADMIN_SCOPE, issueApiKey, listApiKeys, revokeApiKey } from './src/services/apiKeys.js';
+
+const USAGE = `Usage:
+  node api-keys.js issue --tenant <tenant_id> [--tools tool1,tool2] [--label <label>] [--rate-limit <per_minute>]
+  node api-keys.js issue --admin [--tools tool1,tool2] [--label <label>] [--rate-limit <per_minute>]
+  node api-keys.js list --tenant <tenant_id> | --admin
+  node api-keys.js revoke --tenant <tenant_id> <key_id> | --admin <key_id>`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string, options: Object, positional: Array<string>}}
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg === '--admin') {
+      options.admin = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = rest[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command, options, positional };
+}
+
+/**
+ * Run the requested command
+ * @returns {Promise<number>} Exit code
+ */
+async function run() {
+  const { command, options, positional } = parseArgs(process.argv.slice(2));
+  const scope = options.admin ? ADMIN_SCOPE : options.tenant;
+
+  if (!['issue', 'list', 'revoke'].includes(command) || !scope) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  await database.connect();
+
+  switch (command) {
+    case 'issue': {
+      const { key, record } = await issueApiKey({
+        tenantId: options.tenant,
+        admin: Boolean(options.admin),
+        tools: options.tools ? options.tools.split(',').map(t => t.trim()).filter(Boolean) : ['*'],
+        label: options.label || '',
+        rateLimitPerMinute: parseInt(options['rate-limit']) || null
+      });
+
+      console.log(`✅ Issued ${record.type} key ${record.key_id}${record.tenant_id ? ` for ${record.tenant_id}` : ''}`);
+      console.log(`   Tools: ${record.tools.join(', ')}`);
+      console.log(`   Rate limit: ${record.rate_limit_per_minute || 'default'} requests/minute`);
+      console.log(`\n   ${key}\n`);
+      console.log('⚠️  Store this key now; it cannot be shown again.');
+      return 0;
+    }
+
+    case 'list': {
+      const keys = await listApiKeys(scope);
+
+      if (keys.length === 0) {
+        console.log(`No API keys for ${scope}`);
+        return 0;
+      }
+
+      for (const key of keys) {
+        const status = key.revoked_at ? `revoked ${key.revoked_at}` : 'active';
+        console.log(`${key.key_id}  ${status}  tools=${key.tools.join(',')}  label=${key.label || '-'}  last_used=${key.last_used_at || 'never'}`);
+      }
+      return 0;
+    }
+
+    case 'revoke': {
+      const [keyId] = positional;
+      if (!keyId) {
+        console.error(USAGE);
+        return 1;
+      }
+
+      const revoked = await revokeApiKey(scope, keyId);
+      console.log(revoked ? `✅ Revoked ${keyId}` : `❌ No active key ${keyId} for ${scope}`);
+      return revoked ? 0 : 1;
+    }
+  }
+}
+
+run()
+  .then(async code => {
+    await database.close();
+    process.exit(code);
+  })
+  .catch(async error => {
+    console.error('❌', error.message);
+    await database.close();
+    process.exit(1);
+  });
@@ -4,6 +4,7 @@
  */
 
 import express from 'express';
+import { timingSafeEqual } from 'crypto';
 import database from './src/services/database.js';
 
 // Import tools
@@ -12,10 +13,73 @@ import { getAvailableSlots } from './src/tools/getAvailableSlots.js';
 import { findAppointment } from './src/tools/findAppointment.js';
 import { updateAppointment } from './src/tools/updateAppointment.js';
 import { cancelAppointment } from './src/tools/cancelAppointment.js';
+import { getCustomer } from './src/tools/getCustomer.js';
+import { updateCustomer } from './src/tools/updateCustomer.js';
+import { resetNoShowPolicy } from './src/tools/resetNoShowPolicy.js';
+import { blockTime } from './src/tools/blockTime.js';
+import { unblockTime } from './src/tools/unblockTime.js';
+import { recordPayment } from './src/tools/recordPayment.js';
+import { joinWaitlist } from './src/tools/joinWaitlist.js';
+import { leaveWaitlist } from './src/tools/leaveWaitlist.js';
+import { bookRecurring } from './src/tools/bookRecurring.js';
+import { cancelSeries } from './src/tools/cancelSeries.js';
+import { rescheduleSeries } from './src/tools/rescheduleSeries.js';
+import { suggestSlots } from './src/tools/suggestSlots.js';
+import { getAvailabilityRange } from './src/tools/getAvailabilityRange.js';
+import { checkIn } from './src/tools/checkIn.js';
+import { completeAppointment } from './src/tools/completeAppointment.js';
+import { markNoShow } from './src/tools/markNoShow.js';
+import { getAppointmentHistory } from './src/tools/getAppointmentHistory.js';
+
+// Import auth
+import { authenticateApiKey, isToolAllowed, resolveTenant } from './src/services/apiKeys.js';
+import { consume } from './src/services/rateLimiter.js';
+
+// Import tenant admin
+import {
+  listTenants,
+  getTenant,
+  createTenant,
+  updateTenant,
+  setTenantActive,
+  saveService,
+  deactivateService,
+  setWorkingHours,
+  getTenantVersions,
+  getTenantVersion,
+  restoreTenantVersion
+} from './src/services/tenantAdmin.js';
+import { refreshTenantConfigs } from './src/services/tenantConfigStore.js';
+import { listTenantIds } from './src/services/tenantLoader.js';
+import { TENANT_ID_PATTERN } from './src/services/tenantSchema.js';
 
 const app = express();
 const PORT = process.env.PORT || 4032;
 
+// API keys are required unless explicitly disabled (local development only)
+const AUTH_REQUIRED = process.env.REQUIRE_API_KEY !== 'false';
+
+// Requests per minute (API keys can override their own limit)
+const IP_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE) || 120;
+const KEY_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_KEY_PER_MINUTE) || 300;
+
+// How often tenant configs are reloaded, so admin changes made on another instance apply here
+const CONFIG_REFRESH_SECONDS = parseInt(process.env.TENANT_CONFIG_REFRESH_SECONDS) || 60;
+
+// HTTP status for each tenant admin failure reason
+const ADMIN_ERROR_STATUS = {
+  invalid: 400,
+  not_found: 404,
+  exists: 409,
+  conflict: 409
+};
+
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip is the client (hop count or address list)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(express.json());
 
@@ -35,7 +99,7 @@ app.use((req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Staff-Id');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -44,6 +108,163 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * Count a request against a per-minute limit and set the rate limit headers
+ * @param {Object} res - Express response
+ * @param {string} key - Counter key
+ * @param {number} limit - Requests per minute
+ * @returns {Promise<boolean>} False when the limit is exceeded (a 429 has been sent)
+ */
+async function enforceRateLimit(res, key, limit) {
+  const result = await consume(key, limit, 60 * 1000);
+
+  res.header('X-RateLimit-Limit', String(result.limit));
+  res.header('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    res.header('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json({ success: false, error: 'Too many requests' });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Authenticate the API key sent as `Authorization: Bearer <key>` or `X-API-Key`
+ * Sets req.apiKey to the key record
+ */
+async function authenticate(req, res, next) {
+  if (!AUTH_REQUIRED) {
+    return next();
+  }
+
+  const authorization = req.headers.authorization || '';
+  const key = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : req.headers['x-api-key'];
+
+  if (!key) {
+    return res.status(401).json({ success: false, error: 'Missing API key' });
+  }
+
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+
+    const record = await authenticateApiKey(key);
+    if (!record) {
+      return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+
+    req.apiKey = record;
+
+    const keyLimit = record.rate_limit_per_minute || KEY_LIMIT_PER_MINUTE;
+    if (!(await enforceRateLimit(res, `key:${record.key_id}`, keyLimit))) {
+      return;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Build the actor recorded in the appointment history for a request
+ * The staff member is named by the optional `X-Staff-Id` header.
+ * @param {Object} req - Express request
+ * @param {string} channel - 'mcp' or 'rest'
+ * @returns {{channel: string, api_key_id: string|null, staff_id: string|null}}
+ */
+function getActor(req, channel) {
+  return {
+    channel,
+    api_key_id: req.apiKey?.key_id || null,
+    staff_id: req.headers['x-staff-id'] || null
+  };
+}
+
+/**
+ * Check a tool call against the request's API key and scope its tenant
+ * @param {Object|undefined} apiKey - Key record (undefined when auth is disabled)
+ * @param {string} toolName - MCP tool name
+ * @param {Object} [args] - Tool arguments
+ * @param {Object} actor - Who is calling (replaces any actor in the arguments)
+ * @returns {{args?: Object, status?: number, error?: string}} Scoped arguments or an error
+ */
+function authorizeTool(apiKey, toolName, args = {}, actor) {
+  if (!apiKey) {
+    return { args: { ...args, actor } };
+  }
+
+  if (!isToolAllowed(apiKey, toolName)) {
+    return { status: 403, error: `API key is not allowed to use ${toolName}` };
+  }
+
+  const tenant = resolveTenant(apiKey, args.tenant_id);
+  if (tenant.error) {
+    return { status: apiKey.type === 'admin' ? 400 : 403, error: tenant.error };
+  }
+
+  return { args: { ...args, tenant_id: tenant.tenantId, actor } };
+}
+
+/**
+ * REST middleware authorizing a route's tool
+ * Sets req.toolArgs to the request body/query scoped to the key's tenant
+ * @param {string} toolName - MCP tool name behind the route
+ * @param {string} [source='body'] - Request property holding the arguments ('body' or 'query')
+ */
+function requireTool(toolName, source = 'body') {
+  return (req, res, next) => {
+    const auth = authorizeTool(req.apiKey, toolName, req[source], getActor(req, 'rest'));
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    req.toolArgs = auth.args;
+    next();
+  };
+}
+
+/**
+ * REST middleware restricting a route to admin API keys
+ * With REQUIRE_API_KEY=false there are no keys, so the admin API is closed altogether.
+ * Also rejects a `:tenantId` that is not a valid tenant ID.
+ */
+function requireAdmin(req, res, next) {
+  if (!AUTH_REQUIRED) {
+    return res.status(403).json({ success: false, error: 'The admin API is disabled when REQUIRE_API_KEY=false' });
+  }
+
+  if (req.apiKey?.type !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin API key required' });
+  }
+
+  if (req.params.tenantId !== undefined && !TENANT_ID_PATTERN.test(req.params.tenantId)) {
+    return res.status(400).json({ success: false, error: `Invalid tenant ID: ${req.params.tenantId}` });
+  }
+
+  next();
+}
+
+/**
+ * Send a tenant admin result, mapping its failure reason to an HTTP status
+ * @param {Object} res - Express response
+ * @param {Object} result - Result from the tenant admin service
+ * @param {number} [status=200] - Status on success
+ */
+function sendAdminResult(res, result, status = 200) {
+  if (result.error) {
+    return res.status(ADMIN_ERROR_STATUS[result.reason] || 400).json({ success: false, error: result.error });
+  }
+
+  return res.status(status).json({ success: true, ...result });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -55,8 +276,20 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Per-IP rate limit for everything below (health checks are not limited)
+app.use(async (req, res, next) => {
+  try {
+    if (await enforceRateLimit(res, `ip:${req.ip}`, IP_LIMIT_PER_MINUTE)) {
+      next();
+    }
+  } catch (error) {
+    console.error('Rate limit error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // MCP protocol endpoint (JSON-RPC 2.0 compatible)
-app.post('/mcp', async (req, res) => {
+app.post('/mcp', authenticate, async (req, res) => {
   const { jsonrpc, method, params, id } = req.body;
 
   try {
@@ -91,17 +324,99 @@ app.post('/mcp', async (req, res) => {
             {
               name: 'cancel_appointment',
               description: 'Cancel an appointment'
+            },
+            {
+              name: 'get_customer',
+              description: 'Get a customer profile by phone number'
+            },
+            {
+              name: 'update_customer',
+              description: "Update a customer's name, notes or preferences"
+            },
+            {
+              name: 'reset_no_show_policy',
+              description: "Staff only: lift a customer's no-show policy restriction"
+            },
+            {
+              name: 'block_time',
+              description: 'Block a time range for the salon or one stylist'
+            },
+            {
+              name: 'unblock_time',
+              description: 'Remove a time block'
+            },
+            {
+              name: 'record_payment',
+              description: 'Record a deposit payment for a pending booking'
+            },
+            {
+              name: 'join_waitlist',
+              description: 'Join the waitlist for a fully booked date'
+            },
+            {
+              name: 'leave_waitlist',
+              description: 'Leave the waitlist'
+            },
+            {
+              name: 'book_recurring',
+              description: 'Book a weekly recurring series of appointments'
+            },
+            {
+              name: 'cancel_series',
+              description: 'Cancel all upcoming appointments of a recurring series'
+            },
+            {
+              name: 'reschedule_series',
+              description: 'Move all upcoming appointments of a recurring series'
+            },
+            {
+              name: 'suggest_slots',
+              description: 'Suggest free slots closest to a requested time'
+            },
+            {
+              name: 'get_availability_range',
+              description: 'Get a per-day availability overview for a date range'
+            },
+            {
+              name: 'check_in',
+              description: 'Check a customer in on arrival, optionally starting the service'
+            },
+            {
+              name: 'complete_appointment',
+              description: 'Mark an appointment as completed'
+            },
+            {
+              name: 'mark_no_show',
+              description: 'Mark a confirmed appointment as a no-show'
+            },
+            {
+              name: 'get_appointment_history',
+              description: 'Get the change history of an appointment'
             }
-          ]
+          ].filter(tool => !req.apiKey || isToolAllowed(req.apiKey, tool.name))
         }
       });
     }
 
     // Handle tools/call request
     if (method === 'tools/call') {
-      const { name, arguments: args } = params;
+      const { name } = params;
       let result;
 
+      const auth = authorizeTool(req.apiKey, name, params.arguments, getActor(req, 'mcp'));
+      if (auth.error) {
+        return res.status(auth.status).json({
+          jsonrpc: '2.0',
+          id,
+          error: {
+            code: -32001,
+            message: auth.error
+          }
+        });
+      }
+
+      const args = auth.args;
+
       switch (name) {
         case 'book_appointment':
           result = await bookAppointment(args);
@@ -123,6 +438,74 @@ app.post('/mcp', async (req, res) => {
           result = await cancelAppointment(args);
           break;
 
+        case 'get_customer':
+          result = await getCustomer(args);
+          break;
+
+        case 'update_customer':
+          result = await updateCustomer(args);
+          break;
+
+        case 'reset_no_show_policy':
+          result = await resetNoShowPolicy(args);
+          break;
+
+        case 'block_time':
+          result = await blockTime(args);
+          break;
+
+        case 'unblock_time':
+          result = await unblockTime(args);
+          break;
+
+        case 'record_payment':
+          result = await recordPayment(args);
+          break;
+
+        case 'join_waitlist':
+          result = await joinWaitlist(args);
+          break;
+
+        case 'leave_waitlist':
+          result = await leaveWaitlist(args);
+          break;
+
+        case 'book_recurring':
+          result = await bookRecurring(args);
+          break;
+
+        case 'cancel_series':
+          result = await cancelSeries(args);
+          break;
+
+        case 'reschedule_series':
+          result = await rescheduleSeries(args);
+          break;
+
+        case 'suggest_slots':
+          result = await suggestSlots(args);
+          break;
+
+        case 'get_availability_range':
+          result = await getAvailabilityRange(args);
+          break;
+
+        case 'check_in':
+          result = await checkIn(args);
+          break;
+
+        case 'complete_appointment':
+          result = await completeAppointment(args);
+          break;
+
+        case 'mark_no_show':
+          result = await markNoShow(args);
+          break;
+
+        case 'get_appointment_history':
+          result = await getAppointmentHistory(args);
+          break;
+
         default:
           return res.status(400).json({
             jsonrpc: '2.0',
@@ -175,12 +558,12 @@ app.post('/mcp', async (req, res) => {
 // REST API endpoints (simpler alternative to MCP protocol)
 
 // POST /book - Book appointment
-app.post('/book', async (req, res) => {
+app.post('/book', authenticate, requireTool('book_appointment'), async (req, res) => {
   try {
     if (!database.isConnected()) {
       await database.connect();
     }
-    const result = await bookAppointment(req.body);
+    const result = await bookAppointment(req.toolArgs);
     return res.json(result);
   } catch (error) {
     console.error('Book error:', error);
@@ -189,12 +572,12 @@ app.post('/book', async (req, res) => {
 });
 
 // GET /slots - Get available slots
-app.get('/slots', async (req, res) => {
+app.get('/slots', authenticate, requireTool('get_available_slots', 'query'), async (req, res) => {
   try {
     if (!database.isConnected()) {
       await database.connect();
     }
-    const result = await getAvailableSlots(req.query);
+    const result = await getAvailableSlots(req.toolArgs);
     return res.json(result);
   } catch (error) {
     console.error('Slots error:', error);
@@ -202,13 +585,41 @@ app.get('/slots', async (req, res) => {
   }
 });
 
+// GET /availability - Availability overview for a date range
+app.get('/availability', authenticate, requireTool('get_availability_range', 'query'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getAvailabilityRange(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Availability error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /suggestions - Suggest slots near a requested time
+app.get('/suggestions', authenticate, requireTool('suggest_slots', 'query'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await suggestSlots(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Suggestions error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /find - Find appointment
-app.get('/find', async (req, res) => {
+app.get('/find', authenticate, requireTool('find_appointment', 'query'), async (req, res) => {
   try {
     if (!database.isConnected()) {
       await database.connect();
     }
-    const result = await findAppointment(req.query);
+    const result = await findAppointment(req.toolArgs);
     return res.json(result);
   } catch (error) {
     console.error('Find error:', error);
@@ -217,12 +628,12 @@ app.get('/find', async (req, res) => {
 });
 
 // PUT /update - Update appointment
-app.put('/update', async (req, res) => {
+app.put('/update', authenticate, requireTool('update_appointment'), async (req, res) => {
   try {
     if (!database.isConnected()) {
       await database.connect();
     }
-    const result = await updateAppointment(req.body);
+    const result = await updateAppointment(req.toolArgs);
     return res.json(result);
   } catch (error) {
     console.error('Update error:', error);
@@ -231,12 +642,12 @@ app.put('/update', async (req, res) => {
 });
 
 // DELETE /cancel - Cancel appointment
-app.delete('/cancel', async (req, res) => {
+app.delete('/cancel', authenticate, requireTool('cancel_appointment'), async (req, res) => {
   try {
     if (!database.isConnected()) {
       await database.connect();
     }
-    const result = await cancelAppointment(req.body);
+    const result = await cancelAppointment(req.toolArgs);
     return res.json(result);
   } catch (error) {
     console.error('Cancel error:', error);
@@ -244,6 +655,387 @@ app.delete('/cancel', async (req, res) => {
   }
 });
 
+// GET /customer - Get customer profile
+app.get('/customer', authenticate, requireTool('get_customer', 'query'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getCustomer(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Customer error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /customer - Update customer profile
+app.put('/customer', authenticate, requireTool('update_customer'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await updateCustomer(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Customer update error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /customer/no-show-reset - Lift a customer's no-show policy restriction (staff only)
+app.post('/customer/no-show-reset', authenticate, requireTool('reset_no_show_policy'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await resetNoShowPolicy(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Reset no-show policy error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /block - Block a time range
+app.post('/block', authenticate, requireTool('block_time'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await blockTime(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Block error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /block - Remove a time block
+app.delete('/block', authenticate, requireTool('unblock_time'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await unblockTime(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Unblock error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /waitlist - Join the waitlist
+app.post('/waitlist', authenticate, requireTool('join_waitlist'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await joinWaitlist(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Waitlist error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /waitlist - Leave the waitlist
+app.delete('/waitlist', authenticate, requireTool('leave_waitlist'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await leaveWaitlist(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /series - Book a recurring series
+app.post('/series', authenticate, requireTool('book_recurring'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await bookRecurring(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Book recurring error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /series - Reschedule a recurring series
+app.put('/series', authenticate, requireTool('reschedule_series'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await rescheduleSeries(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Reschedule series error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /series - Cancel a recurring series
+app.delete('/series', authenticate, requireTool('cancel_series'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await cancelSeries(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /check-in - Check a customer in
+app.post('/check-in', authenticate, requireTool('check_in'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await checkIn(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Check in error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /complete - Mark an appointment as completed
+app.post('/complete', authenticate, requireTool('complete_appointment'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await completeAppointment(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /no-show - Mark an appointment as a no-show
+app.post('/no-show', authenticate, requireTool('mark_no_show'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await markNoShow(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Mark no-show error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /history - Get the change history of an appointment
+app.get('/history', authenticate, requireTool('get_appointment_history', 'query'), async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getAppointmentHistory(req.toolArgs);
+    return res.json(result);
+  } catch (error) {
+    console.error('Get appointment history error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /admin/tenants - List tenants (admin keys only)
+app.get('/admin/tenants', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const tenants = await listTenants();
+    return res.json({ success: true, tenants });
+  } catch (error) {
+    console.error('List tenants error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /admin/tenants - Onboard a tenant from a full config
+app.post('/admin/tenants', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await createTenant(req.body, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result, 201);
+  } catch (error) {
+    console.error('Create tenant error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /admin/tenants/:tenantId - Current config and version
+app.get('/admin/tenants/:tenantId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getTenant(req.params.tenantId);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Get tenant error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /admin/tenants/:tenantId - Change top-level fields (salon_info, settings and whatsapp are merged)
+app.put('/admin/tenants/:tenantId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await updateTenant(req.params.tenantId, req.body, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Update tenant error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /admin/tenants/:tenantId - Deactivate a tenant (PUT { "active": true } reactivates it)
+app.delete('/admin/tenants/:tenantId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await setTenantActive(req.params.tenantId, false, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Deactivate tenant error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /admin/tenants/:tenantId/services/:serviceId - Create or update a service
+app.put('/admin/tenants/:tenantId/services/:serviceId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await saveService(req.params.tenantId, req.params.serviceId, req.body, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Save service error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /admin/tenants/:tenantId/services/:serviceId - Deactivate a service
+app.delete('/admin/tenants/:tenantId/services/:serviceId', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await deactivateService(req.params.tenantId, req.params.serviceId, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Deactivate service error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /admin/tenants/:tenantId/working-hours - Replace the weekly hours of the days given
+app.put('/admin/tenants/:tenantId/working-hours', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await setWorkingHours(req.params.tenantId, req.body, req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Set working hours error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /admin/tenants/:tenantId/versions - Config change history
+app.get('/admin/tenants/:tenantId/versions', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getTenantVersions(req.params.tenantId);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('List config versions error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /admin/tenants/:tenantId/versions/:version - One version with its full config
+app.get('/admin/tenants/:tenantId/versions/:version', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await getTenantVersion(req.params.tenantId, parseInt(req.params.version));
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Get config version error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /admin/tenants/:tenantId/versions/:version/restore - Roll the config back to a version
+app.post('/admin/tenants/:tenantId/versions/:version/restore', authenticate, requireAdmin, async (req, res) => {
+  try {
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await restoreTenantVersion(req.params.tenantId, parseInt(req.params.version), req.apiKey?.key_id || null);
+    return sendAdminResult(res, result);
+  } catch (error) {
+    console.error('Restore config version error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /webhooks/payment - Payment gateway callback
+// The only REST route without an API key (gateways cannot send one): it requires the
+// X-Webhook-Secret header instead, and every call is refused (503) until PAYMENT_WEBHOOK_SECRET is set
+app.post('/webhooks/payment', async (req, res) => {
+  try {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ success: false, error: 'Payment webhook is not configured' });
+    }
+
+    const provided = Buffer.from(req.headers['x-webhook-secret'] || '');
+    const expected = Buffer.from(secret);
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+    }
+
+    if (!listTenantIds().includes(req.body?.tenant_id)) {
+      return res.status(400).json({ success: false, error: 'Unknown tenant_id' });
+    }
+
+    if (!database.isConnected()) {
+      await database.connect();
+    }
+    const result = await recordPayment({ ...req.body, actor: { channel: 'webhook' } });
+    return res.json(result);
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -254,9 +1046,37 @@ app.use((req, res) => {
       'POST /mcp',
       'POST /book',
       'GET /slots',
+      'GET /availability',
+      'GET /suggestions',
       'GET /find',
       'PUT /update',
-      'DELETE /cancel'
+      'DELETE /cancel',
+      'GET /customer',
+      'PUT /customer',
+      'POST /customer/no-show-reset',
+      'POST /block',
+      'DELETE /block',
+      'POST /waitlist',
+      'DELETE /waitlist',
+      'POST /series',
+      'PUT /series',
+      'DELETE /series',
+      'POST /check-in',
+      'POST /complete',
+      'POST /no-show',
+      'GET /history',
+      'GET /admin/tenants',
+      'POST /admin/tenants',
+      'GET /admin/tenants/:tenantId',
+      'PUT /admin/tenants/:tenantId',
+      'DELETE /admin/tenants/:tenantId',
+      'PUT /admin/tenants/:tenantId/services/:serviceId',
+      'DELETE /admin/tenants/:tenantId/services/:serviceId',
+      'PUT /admin/tenants/:tenantId/working-hours',
+      'GET /admin/tenants/:tenantId/versions',
+      'GET /admin/tenants/:tenantId/versions/:version',
+      'POST /admin/tenants/:tenantId/versions/:version/restore',
+      'POST /webhooks/payment'
     ]
   });
 });
@@ -267,6 +1087,16 @@ async function main() {
     // Connect to database
     await database.connect();
 
+    // Load tenant configs, then keep picking up changes made by other instances
+    await refreshTenantConfigs();
+    setInterval(() => {
+      refreshTenantConfigs().catch(error => console.error('Tenant config refresh error:', error.message));
+    }, CONFIG_REFRESH_SECONDS * 1000).unref();
+
+    if (!AUTH_REQUIRED) {
+      console.error('⚠️  REQUIRE_API_KEY=false: HTTP API is open without authentication');
+    }
+
     // Start HTTP server
     app.listen(PORT, () => {
       console.error(`✅ Salon Receptionist HTTP server running on port ${PORT}`);
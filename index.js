@@ -8,6 +8,7 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import database from './src/services/database.js';
+import { refreshTenantConfigs } from './src/services/tenantConfigStore.js';
 
 // Import tools
 import { bookAppointment, bookAppointmentTool } from './src/tools/bookAppointment.js';
@@ -15,6 +16,23 @@ import { getAvailableSlots, getAvailableSlotsTool } from './src/tools/getAvailab
 import { findAppointment, findAppointmentTool } from './src/tools/findAppointment.js';
 import { updateAppointment, updateAppointmentTool } from './src/tools/updateAppointment.js';
 import { cancelAppointment, cancelAppointmentTool } from './src/tools/cancelAppointment.js';
+import { getCustomer, getCustomerTool } from './src/tools/getCustomer.js';
+import { updateCustomer, updateCustomerTool } from './src/tools/updateCustomer.js';
+import { resetNoShowPolicy, resetNoShowPolicyTool } from './src/tools/resetNoShowPolicy.js';
+import { blockTime, blockTimeTool } from './src/tools/blockTime.js';
+import { unblockTime, unblockTimeTool } from './src/tools/unblockTime.js';
+import { recordPayment, recordPaymentTool } from './src/tools/recordPayment.js';
+import { joinWaitlist, joinWaitlistTool } from './src/tools/joinWaitlist.js';
+import { leaveWaitlist, leaveWaitlistTool } from './src/tools/leaveWaitlist.js';
+import { bookRecurring, bookRecurringTool } from './src/tools/bookRecurring.js';
+import { cancelSeries, cancelSeriesTool } from './src/tools/cancelSeries.js';
+import { rescheduleSeries, rescheduleSeriesTool } from './src/tools/rescheduleSeries.js';
+import { suggestSlots, suggestSlotsTool } from './src/tools/suggestSlots.js';
+import { getAvailabilityRange, getAvailabilityRangeTool } from './src/tools/getAvailabilityRange.js';
+import { checkIn, checkInTool } from './src/tools/checkIn.js';
+import { completeAppointment, completeAppointmentTool } from './src/tools/completeAppointment.js';
+import { markNoShow, markNoShowTool } from './src/tools/markNoShow.js';
+import { getAppointmentHistory, getAppointmentHistoryTool } from './src/tools/getAppointmentHistory.js';
 
 // Create MCP server
 const server = new Server(
@@ -38,13 +56,33 @@ server.setRequestHandler('tools/list', async () => {
       findAppointmentTool,
       updateAppointmentTool,
       cancelAppointmentTool,
+      getCustomerTool,
+      updateCustomerTool,
+      resetNoShowPolicyTool,
+      blockTimeTool,
+      unblockTimeTool,
+      recordPaymentTool,
+      joinWaitlistTool,
+      leaveWaitlistTool,
+      bookRecurringTool,
+      cancelSeriesTool,
+      rescheduleSeriesTool,
+      suggestSlotsTool,
+      getAvailabilityRangeTool,
+      checkInTool,
+      completeAppointmentTool,
+      markNoShowTool,
+      getAppointmentHistoryTool,
     ],
   };
 });
 
 // Handle tool calls
 server.setRequestHandler('tools/call', async (request) => {
-  const { name, arguments: args } = request.params;
+  const { name, arguments: rawArgs } = request.params;
+
+  // Changes made over stdio are recorded in the appointment history as such
+  const args = { ...rawArgs, actor: { channel: 'stdio' } };
 
   try {
     // Ensure database is connected
@@ -75,6 +113,74 @@ server.setRequestHandler('tools/call', async (request) => {
         result = await cancelAppointment(args);
         break;
 
+      case 'get_customer':
+        result = await getCustomer(args);
+        break;
+
+      case 'update_customer':
+        result = await updateCustomer(args);
+        break;
+
+      case 'reset_no_show_policy':
+        result = await resetNoShowPolicy(args);
+        break;
+
+      case 'block_time':
+        result = await blockTime(args);
+        break;
+
+      case 'unblock_time':
+        result = await unblockTime(args);
+        break;
+
+      case 'record_payment':
+        result = await recordPayment(args);
+        break;
+
+      case 'join_waitlist':
+        result = await joinWaitlist(args);
+        break;
+
+      case 'leave_waitlist':
+        result = await leaveWaitlist(args);
+        break;
+
+      case 'book_recurring':
+        result = await bookRecurring(args);
+        break;
+
+      case 'cancel_series':
+        result = await cancelSeries(args);
+        break;
+
+      case 'reschedule_series':
+        result = await rescheduleSeries(args);
+        break;
+
+      case 'suggest_slots':
+        result = await suggestSlots(args);
+        break;
+
+      case 'get_availability_range':
+        result = await getAvailabilityRange(args);
+        break;
+
+      case 'check_in':
+        result = await checkIn(args);
+        break;
+
+      case 'complete_appointment':
+        result = await completeAppointment(args);
+        break;
+
+      case 'mark_no_show':
+        result = await markNoShow(args);
+        break;
+
+      case 'get_appointment_history':
+        result = await getAppointmentHistory(args);
+        break;
+
       default:
         return {
           content: [
@@ -120,6 +226,9 @@ async function main() {
     // Connect to database
     await database.connect();
 
+    // Load tenant configs from the config store
+    await refreshTenantConfigs();
+
     // Create STDIO transport
     const transport = new StdioServerTransport();
 
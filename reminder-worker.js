@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Reminder Worker for Salon Receptionist MCP
+ * Background process sending WhatsApp confirmations and reminders for every tenant,
+ * expiring bookings whose deposit was not paid in time, and offering freed slots to the waitlist
+ */
+
+import database from './src/services/database.js';
+import { listTenantIds } from './src/services/tenantLoader.js';
+import { refreshTenantConfigs } from './src/services/tenantConfigStore.js';
+import { dispatchNotifications } from './src/services/reminderDispatcher.js';
+import { expireUnpaidBookings } from './src/services/payments.js';
+import { processWaitlist, setWaitlistNotifier } from './src/services/waitlist.js';
+import { createNotifier } from './src/services/notifier.js';
+
+const INTERVAL_MS = (parseInt(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000;
+const RUN_ONCE = process.argv.includes('--once');
+
+let timer = null;
+
+/**
+ * Run one dispatch pass over all tenants
+ * @param {{send: Function}} notifier - Notifier transport
+ * @returns {Promise<void>}
+ */
+async function runCycle(notifier) {
+  // Pick up tenants onboarded or changed through the admin API
+  try {
+    await refreshTenantConfigs();
+  } catch (error) {
+    console.error('❌ Tenant config refresh failed:', error.message);
+  }
+
+  for (const tenantId of listTenantIds()) {
+    try {
+      const expired = await expireUnpaidBookings(tenantId);
+      if (expired) {
+        console.error(`⌛ ${tenantId}: ${expired} unpaid bookings expired`);
+      }
+
+      const waitlist = await processWaitlist(tenantId);
+      if (waitlist.expired || waitlist.offered) {
+        console.error(`⏳ ${tenantId}: ${waitlist.offered} waitlist offers sent, ${waitlist.expired} offers expired`);
+      }
+
+      const { confirmations, reminders, failed } = await dispatchNotifications(tenantId, notifier);
+
+      if (confirmations || reminders || failed) {
+        console.error(`📨 ${tenantId}: ${confirmations} confirmations, ${reminders} reminders, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error(`❌ Dispatch failed for ${tenantId}:`, error.message);
+    }
+  }
+}
+
+// Start worker
+async function main() {
+  try {
+    // Connect to database
+    await database.connect();
+
+    const notifier = createNotifier();
+    setWaitlistNotifier(notifier);
+
+    if (RUN_ONCE) {
+      await runCycle(notifier);
+      await database.close();
+      process.exit(0);
+    }
+
+    console.error(`✅ Reminder worker running every ${INTERVAL_MS / 1000}s`);
+
+    // A failed cycle (e.g. a malformed tenant config) is logged, and the next one still runs
+    const loop = async () => {
+      try {
+        await runCycle(notifier);
+      } catch (error) {
+        console.error('❌ Reminder cycle failed:', error.message);
+      } finally {
+        timer = setTimeout(loop, INTERVAL_MS);
+      }
+    };
+
+    await loop();
+  } catch (error) {
+    console.error('❌ Failed to start reminder worker:', error);
+    process.exit(1);
+  }
+}
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  console.error('\n🛑 Shutting down reminder worker...');
+  clearTimeout(timer);
+  await database.close();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.error('\n🛑 Shutting down reminder worker...');
+  clearTimeout(timer);
+  await database.close();
+  process.exit(0);
+});
+
+main();
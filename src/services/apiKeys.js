@@ -0,0 +1,171 @@
+/**
+ * API Keys Service
+ * Issues, revokes and verifies API keys for the HTTP wrapper
+ *
+ * Keys look like `sk_<scope>_<secret>`, where scope is the tenant ID (or `admin`
+ * for cross-tenant keys). Only a SHA-256 hash of the key is stored, in
+ * `{scope}_api_keys`, so the scope in the key tells us which collection to check.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { loadTenantConfig } from './tenantLoader.js';
+import { getTimestamp } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+const KEY_PREFIX = 'sk_';
+export const ADMIN_SCOPE = 'admin';
+
+/**
+ * Issue a new API key
+ * @param {Object} options - Key options
+ * @param {string} [options.tenantId] - Tenant the key is scoped to (omit for admin keys)
+ * @param {boolean} [options.admin=false] - Issue a cross-tenant admin key
+ * @param {Array<string>} [options.tools=['*']] - Tool names the key may call ('*' for all)
+ * @param {string} [options.label=''] - Human-readable label (e.g. 'n8n production')
+ * @param {number} [options.rateLimitPerMinute] - Requests per minute (defaults to RATE_LIMIT_KEY_PER_MINUTE)
+ * @returns {Promise<{key: string, record: Object}>} Plain key (shown once) and stored record
+ */
+export async function issueApiKey(options) {
+  const { tenantId = null, admin = false, tools = ['*'], label = '', rateLimitPerMinute = null } = options;
+
+  if (!admin) {
+    // Throws for unknown tenants
+    loadTenantConfig(tenantId);
+  }
+
+  const scope = admin ? ADMIN_SCOPE : tenantId;
+  const secret = randomBytes(24).toString('hex');
+  const key = `${KEY_PREFIX}${scope}_${secret}`;
+
+  const record = {
+    key_id: `KEY-${secret.slice(0, 8).toUpperCase()}`,
+    key_hash: hashKey(key),
+    type: admin ? 'admin' : 'tenant',
+    tenant_id: admin ? null : tenantId,
+    tools,
+    label,
+    rate_limit_per_minute: rateLimitPerMinute,
+    created_at: getTimestamp(),
+    last_used_at: null,
+    revoked_at: null
+  };
+
+  const keysCol = database.getCollection(scope, 'api_keys');
+  await keysCol.createIndex({ key_hash: 1 }, { unique: true });
+  await keysCol.createIndex({ key_id: 1 }, { unique: true });
+  await keysCol.insertOne(record);
+
+  return { key, record };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} scope - Tenant ID, or 'admin' for admin keys
+ * @param {string} keyId - Key ID (e.g. KEY-1A2B3C4D)
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+export async function revokeApiKey(scope, keyId) {
+  const keysCol = database.getCollection(scope, 'api_keys');
+
+  const result = await keysCol.updateOne(
+    { key_id: keyId, revoked_at: null },
+    { $set: { revoked_at: getTimestamp() } }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * List API keys for a scope (hashes excluded)
+ * @param {string} scope - Tenant ID, or 'admin' for admin keys
+ * @returns {Promise<Array<Object>>} Key records
+ */
+export async function listApiKeys(scope) {
+  const keysCol = database.getCollection(scope, 'api_keys');
+  const keys = await keysCol.find({}).sort({ created_at: 1 }).toArray();
+
+  return keys.map(({ _id, key_hash, ...record }) => record);
+}
+
+/**
+ * Verify a presented API key
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} Active key record, or null if unknown or revoked
+ */
+export async function authenticateApiKey(key) {
+  const scope = getKeyScope(key);
+  if (!scope) {
+    return null;
+  }
+
+  const keysCol = database.getCollection(scope, 'api_keys');
+  const record = await keysCol.findOne({ key_hash: hashKey(key), revoked_at: null });
+
+  if (!record) {
+    return null;
+  }
+
+  // Best effort; a failed timestamp update must not block the request
+  keysCol.updateOne({ key_id: record.key_id }, { $set: { last_used_at: getTimestamp() } })
+    .catch(error => console.error('API key usage update error:', error.message));
+
+  return record;
+}
+
+/**
+ * Check whether a key may call a tool
+ * @param {Object} record - Key record
+ * @param {string} toolName - MCP tool name
+ * @returns {boolean}
+ */
+export function isToolAllowed(record, toolName) {
+  return record.tools.includes('*') || record.tools.includes(toolName);
+}
+
+/**
+ * Resolve the tenant a request runs against
+ * Tenant keys fill in a missing tenant_id and reject any other tenant;
+ * admin keys may act on any tenant but must name one.
+ * @param {Object} record - Key record
+ * @param {string} [requestedTenantId] - tenant_id from the request
+ * @returns {{tenantId?: string, error?: string}}
+ */
+export function resolveTenant(record, requestedTenantId) {
+  if (record.type === 'admin') {
+    return requestedTenantId
+      ? { tenantId: requestedTenantId }
+      : { error: 'tenant_id is required for admin keys' };
+  }
+
+  if (requestedTenantId && requestedTenantId !== record.tenant_id) {
+    return { error: `API key is not valid for tenant ${requestedTenantId}` };
+  }
+
+  return { tenantId: record.tenant_id };
+}
+
+/**
+ * Extract the scope from a key
+ * @param {string} key - Plain API key
+ * @returns {string|null} Scope, or null if the key is malformed
+ */
+function getKeyScope(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  // The secret is hex, so the last underscore separates it from the scope
+  const separator = key.lastIndexOf('_');
+  const scope = key.slice(KEY_PREFIX.length, separator);
+
+  return /^[a-z0-9-]+$/.test(scope) ? scope : null;
+}
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
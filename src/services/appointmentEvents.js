@@ -0,0 +1,97 @@
+/**
+ * Appointment Events Service
+ * Append-only audit log of appointment changes in `{tenant}_appointment_events`
+ *
+ * Every create, update, cancellation, status change and payment is recorded with who made it
+ * (channel, API key, staff ID), the fields it changed (before and after) and when. Events are
+ * only ever inserted.
+ */
+
+import { getTimestamp } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+// Fields every write touches; not part of the diff
+const IGNORED_FIELDS = ['_id', 'updated_at'];
+
+/**
+ * Build the actor recorded with an event
+ * @param {Object} [actor] - { channel, api_key_id, staff_id } from the transport
+ * @returns {{channel: string, api_key_id: string|null, staff_id: string|null}}
+ */
+export function normalizeActor(actor = null) {
+  return {
+    channel: actor?.channel || 'system',
+    api_key_id: actor?.api_key_id || null,
+    staff_id: actor?.staff_id || null
+  };
+}
+
+/**
+ * Diff two versions of an appointment
+ * @param {Object} before - Appointment before the change ({} for a new one)
+ * @param {Object} after - Appointment after the change
+ * @returns {Object} Field name to { from, to } for each changed field
+ */
+export function diffAppointment(before, after) {
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record an appointment change
+ * The change itself has already been written, so a logging failure is reported but not thrown.
+ * A write that changed nothing is not recorded.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} action - 'create', 'update', 'cancel', 'status_change' or 'payment'
+ * @param {Object} before - Appointment before the change ({} for a new one)
+ * @param {Object} after - Appointment after the change
+ * @param {Object} [actor] - { channel, api_key_id, staff_id }
+ * @returns {Promise<void>}
+ */
+export async function recordAppointmentEvent(tenantId, action, before, after, actor = null) {
+  const changes = diffAppointment(before, after);
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+
+  try {
+    const eventsCol = database.getCollection(tenantId, 'appointment_events');
+
+    await eventsCol.insertOne({
+      tenant_id: tenantId,
+      booking_id: after.booking_id,
+      action,
+      changes,
+      actor: normalizeActor(actor),
+      created_at: getTimestamp()
+    });
+  } catch (error) {
+    console.error(`Appointment event not recorded (${action} ${after.booking_id}):`, error);
+  }
+}
+
+/**
+ * Get the events of an appointment, oldest first
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array<Object>>} Events
+ */
+export async function getAppointmentEvents(tenantId, bookingId) {
+  const eventsCol = database.getCollection(tenantId, 'appointment_events');
+
+  return eventsCol
+    .find({ tenant_id: tenantId, booking_id: bookingId })
+    .sort({ created_at: 1, _id: 1 })
+    .toArray();
+}
@@ -0,0 +1,127 @@
+/**
+ * Appointment Status Service
+ * State machine for the appointment lifecycle
+ *
+ * pending → confirmed → checked_in → in_service → completed
+ * pending → expired (deposit unpaid), pending/confirmed → cancelled, confirmed → no_show
+ *
+ * Each transition stamps `{status}_at` (e.g. `checked_in_at`), is written with the
+ * previous status as a guard, so two concurrent changes cannot both apply, and is
+ * recorded in the appointment's event log.
+ */
+
+import { getTimestamp } from '../utils/dateHelpers.js';
+import { recordAppointmentEvent } from './appointmentEvents.js';
+import database from './database.js';
+
+// Allowed next statuses per status; completed, no_show, cancelled and expired are final
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['checked_in', 'no_show', 'cancelled'],
+  checked_in: ['in_service'],
+  in_service: ['completed'],
+  completed: [],
+  no_show: [],
+  cancelled: [],
+  expired: []
+};
+
+export const STATUS_LABELS = {
+  pending: 'قيد الانتظار',
+  confirmed: 'مؤكد',
+  checked_in: 'تم الحضور',
+  in_service: 'قيد التنفيذ',
+  completed: 'مكتمل',
+  no_show: 'لم يحضر',
+  cancelled: 'ملغي',
+  expired: 'منتهي الصلاحية'
+};
+
+// Appointments that hold their slot
+export const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked_in', 'in_service'];
+
+// Appointments the customer has not arrived for yet (may still be moved or cancelled)
+export const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+// Why an appointment in a final status cannot change
+const FINAL_STATUS_ERRORS = {
+  cancelled: 'هذا الموعد ملغي مسبقاً',
+  expired: 'انتهت صلاحية هذا الحجز لعدم دفع العربون',
+  completed: 'هذا الموعد مكتمل',
+  no_show: 'تم تسجيل عدم حضور العميل لهذا الموعد'
+};
+
+/**
+ * Check whether an appointment may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Explain why a transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string} Arabic error message
+ */
+export function getTransitionError(from, to) {
+  if (FINAL_STATUS_ERRORS[from]) {
+    return FINAL_STATUS_ERRORS[from];
+  }
+
+  if (from === to) {
+    return `حالة الموعد "${STATUS_LABELS[from]}" مسبقاً`;
+  }
+
+  if (from === 'pending') {
+    return 'لم يتم تأكيد الحجز بعد، بانتظار دفع العربون';
+  }
+
+  return `لا يمكن تغيير حالة الموعد من "${STATUS_LABELS[from] || from}" إلى "${STATUS_LABELS[to] || to}"`;
+}
+
+/**
+ * Move an appointment through one or more statuses in a single write
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment as read
+ * @param {string|Array<string>} statuses - Next status, or the statuses to pass through in order
+ * @param {Object} [fields={}] - Other fields to set with the change
+ * @param {Object} [actor] - Who made the change { channel, api_key_id, staff_id }
+ * @returns {Promise<{appointment?: Object, error?: string}>} Updated appointment
+ */
+export async function transitionAppointment(tenantId, appointment, statuses, fields = {}, actor = null) {
+  const path = [].concat(statuses);
+  const timestamp = getTimestamp();
+  const updates = { ...fields };
+
+  let current = appointment.status;
+  for (const status of path) {
+    if (!canTransition(current, status)) {
+      return { error: getTransitionError(current, status) };
+    }
+
+    updates[`${status}_at`] = timestamp;
+    current = status;
+  }
+
+  updates.status = current;
+  updates.updated_at = timestamp;
+
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const result = await appointmentsCol.updateOne(
+    { booking_id: appointment.booking_id, tenant_id: tenantId, status: appointment.status },
+    { $set: updates }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { error: 'تغيرت حالة الموعد للتو، الرجاء المحاولة مرة أخرى' };
+  }
+
+  const updated = { ...appointment, ...updates };
+  await recordAppointmentEvent(tenantId, current === 'cancelled' ? 'cancel' : 'status_change', appointment, updated, actor);
+
+  return { appointment: updated };
+}
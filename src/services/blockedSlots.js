@@ -0,0 +1,102 @@
+/**
+ * Blocked Slots Service
+ * Staff-managed partial-day blocks for the whole salon or a single stylist
+ */
+
+import dayjs from 'dayjs';
+import { getTimestamp } from '../utils/dateHelpers.js';
+import { nextSequence } from './concurrency.js';
+import database from './database.js';
+
+/**
+ * Get blocked slots for a date
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Blocked slot documents
+ */
+export async function getBlockedSlots(tenantId, date) {
+  const blockedCol = database.getCollection(tenantId, 'blocked_slots');
+  return blockedCol.find({ tenant_id: tenantId, date }).sort({ start_time: 1 }).toArray();
+}
+
+/**
+ * Get blocked slots between two dates (inclusive)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Blocked slot documents
+ */
+export async function getBlockedSlotsInRange(tenantId, startDate, endDate) {
+  const blockedCol = database.getCollection(tenantId, 'blocked_slots');
+  return blockedCol
+    .find({ tenant_id: tenantId, date: { $gte: startDate, $lte: endDate } })
+    .sort({ date: 1, start_time: 1 })
+    .toArray();
+}
+
+/**
+ * Create a blocked slot
+ * Block ID format: BLK-{YYYYMMDD}-{seq}
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} block - Block fields (date, start_time, end_time, stylist_id, reason)
+ * @returns {Promise<Object>} Created block document
+ */
+export async function createBlockedSlot(tenantId, block) {
+  const blockedCol = database.getCollection(tenantId, 'blocked_slots');
+
+  const dateStr = block.date.replace(/-/g, '');
+  const sequence = await nextSequence(tenantId, `block-${dateStr}`);
+
+  const document = {
+    block_id: `BLK-${dateStr}-${sequence.toString().padStart(3, '0')}`,
+    tenant_id: tenantId,
+    date: block.date,
+    start_time: block.start_time,
+    end_time: block.end_time,
+    stylist_id: block.stylist_id || null,
+    reason: block.reason || '',
+    created_at: getTimestamp()
+  };
+
+  await blockedCol.insertOne(document);
+  return document;
+}
+
+/**
+ * Delete a blocked slot
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} blockId - Block ID
+ * @returns {Promise<Object|null>} Deleted block document or null if not found
+ */
+export async function deleteBlockedSlot(tenantId, blockId) {
+  const blockedCol = database.getCollection(tenantId, 'blocked_slots');
+  return blockedCol.findOneAndDelete({ tenant_id: tenantId, block_id: blockId });
+}
+
+/**
+ * Find a block overlapping a time range
+ * Salon-wide blocks always apply; stylist blocks only apply to that stylist.
+ * Blocks are compared on their own date, so a range running past midnight meets the next date's blocks.
+ * @param {Array<Object>} blocks - Blocked slots for the date (and the days either side)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Start time (HH:MM)
+ * @param {number} duration - Duration in minutes
+ * @param {string|null} [stylistId] - Stylist to check, or null for salon-wide blocks only
+ * @returns {Object|null} First overlapping block or null
+ */
+export function findBlock(blocks, date, time, duration, stylistId = null) {
+  const slotStart = dayjs(`${date} ${time}`, 'YYYY-MM-DD HH:mm');
+  const slotEnd = slotStart.add(duration, 'minute');
+
+  return blocks.find(block => {
+    if (block.stylist_id && block.stylist_id !== stylistId) {
+      return false;
+    }
+
+    const blockDate = block.date || date;
+    const blockStart = dayjs(`${blockDate} ${block.start_time}`, 'YYYY-MM-DD HH:mm');
+    const blockEnd = dayjs(`${blockDate} ${block.end_time}`, 'YYYY-MM-DD HH:mm');
+
+    return slotStart.isBefore(blockEnd) && slotEnd.isAfter(blockStart);
+  }) || null;
+}
@@ -0,0 +1,147 @@
+/**
+ * Booking Service
+ * Creates appointments with race-free collision detection
+ * Shared by single bookings and recurring series; callers validate input first.
+ */
+
+import { isSlotAvailable, calculateEndTime, generateBookingId, getVisitDates } from './scheduler.js';
+import { withDateLock } from './concurrency.js';
+import { checkActiveBookingLimit } from './rateLimiter.js';
+import { recordBooking } from './customerProfiles.js';
+import { buildPaymentFields, expireUnpaidBookings } from './payments.js';
+import { claimWaitlistEntries } from './waitlist.js';
+import { recordAppointmentEvent } from './appointmentEvents.js';
+import { getTimestamp, getAppointmentInstants } from '../utils/dateHelpers.js';
+import { buildAppointmentItems, getItemsTotal } from '../utils/appointmentItems.js';
+import database from './database.js';
+
+/**
+ * Create an appointment if the slot is still free
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} booking - Validated booking
+ * @param {string} booking.customer_name - Customer name
+ * @param {string} booking.phone_number - E.164 phone number
+ * @param {Object} booking.service - Service (combined service for a multi-service visit)
+ * @param {Array<Object>} booking.services - Services in visit order
+ * @param {string} booking.date - Date string (YYYY-MM-DD)
+ * @param {string} booking.time - Time string (HH:MM)
+ * @param {string} [booking.stylist_id] - Requested stylist ID
+ * @param {string} [booking.notes] - Customer notes
+ * @param {string} [booking.series_id] - Recurring series the appointment belongs to
+ * @param {number} [booking.deposit_percentage] - Deposit required by the no-show policy
+ * @param {Object} [booking.actor] - Who made the booking { channel, api_key_id, staff_id }
+ * @returns {Promise<{appointment?: Object, error?: string, limitReached?: boolean}>}
+ *   limitReached is set when the phone's active booking cap refused the booking
+ */
+export async function createAppointment(tenantId, booking) {
+  const {
+    customer_name,
+    phone_number,
+    service,
+    services,
+    date,
+    time,
+    stylist_id = null,
+    notes = '',
+    series_id = null,
+    deposit_percentage = null,
+    actor = null
+  } = booking;
+
+  // Overdue unpaid bookings must not count against the phone's active booking cap
+  await expireUnpaidBookings(tenantId);
+
+  // Check and write under the date lock(s) so concurrent bookings cannot overbook;
+  // a visit running past midnight locks the next date too, and the phone's lock keeps
+  // parallel bookings from exceeding its active booking cap
+  const lockKeys = [...getVisitDates(tenantId, date, time, services), `phone:${phone_number}`];
+  const result = await withDateLock(tenantId, lockKeys, async () => {
+    const activeLimit = await checkActiveBookingLimit(tenantId, phone_number, series_id);
+    if (!activeLimit.allowed) {
+      return { error: activeLimit.error, limitReached: true };
+    }
+
+    // Check slot availability and assign a stylist
+    const slotCheck = await isSlotAvailable(
+      tenantId,
+      date,
+      time,
+      service.duration_minutes,
+      { serviceId: service.id, services, stylistId: stylist_id, phoneNumber: phone_number }
+    );
+
+    if (!slotCheck.available) {
+      return { error: slotCheck.error };
+    }
+
+    // Calculate end time
+    const endTime = calculateEndTime(time, service.duration_minutes);
+
+    // One line item per service, each with its stylist and price
+    const items = buildAppointmentItems(services, time, slotCheck.stylists || []);
+    const stylistNames = [...new Set(items.map(item => item.stylist_name).filter(Boolean))];
+
+    // Generate unique booking ID
+    const bookingId = await generateBookingId(tenantId, date);
+
+    // Create appointment object
+    const appointment = {
+      booking_id: bookingId,
+      tenant_id: tenantId,
+      customer_name: customer_name.trim(),
+      phone_number,
+      service_id: service.id,
+      service_ids: services.map(s => s.id),
+      service_name: service.name,
+      service_duration: service.duration_minutes,
+      stylist_id: slotCheck.stylist?.id || null,
+      stylist_name: stylistNames.length > 0 ? stylistNames.join('، ') : null,
+      items,
+      total_price: getItemsTotal(items),
+      currency: service.currency || 'KWD',
+      date,
+      time,
+      end_time: endTime,
+      ...getAppointmentInstants(tenantId, date, time, service.duration_minutes),
+      ...buildPaymentFields(tenantId, service, deposit_percentage),
+      series_id,
+      notes: notes.trim(),
+      created_at: getTimestamp(),
+      updated_at: getTimestamp(),
+      cancelled_at: null,
+      cancellation_reason: null,
+      confirmation_sent_at: null,
+      reminder_sent_at: null
+    };
+
+    // Save to database
+    const appointmentsCol = database.getCollection(tenantId, 'appointments');
+    await appointmentsCol.insertOne(appointment);
+
+    return { appointment };
+  });
+
+  if (result.error) {
+    return result;
+  }
+
+  const { appointment } = result;
+
+  await recordAppointmentEvent(tenantId, 'create', {}, appointment, actor);
+
+  // Keep the customer profile in sync (a profile failure must not lose the booking)
+  try {
+    await recordBooking(tenantId, appointment);
+  } catch (error) {
+    console.error('Customer profile update error:', error);
+  }
+
+  // Close the customer's waitlist entry (and any slot held for them)
+  try {
+    await claimWaitlistEntries(tenantId, appointment);
+  } catch (error) {
+    console.error('Waitlist update error:', error);
+  }
+
+  return { appointment };
+}
@@ -0,0 +1,145 @@
+/**
+ * Concurrency Control Service
+ * Per-tenant/date (and per-phone) booking locks (lease documents) and atomic counters in MongoDB
+ */
+
+import { randomUUID } from 'crypto';
+import database from './database.js';
+
+// A lease outlives any single booking write; an expired lease is taken over
+const LOCK_TTL_MS = 10000;
+const MAX_WAIT_MS = 10000;
+const RETRY_DELAY_MS = 20;
+
+/**
+ * Run a function while holding the booking lock for one or more dates
+ * Dates are locked in sorted order so two reschedules between the same days cannot deadlock.
+ * Other keys (e.g. 'phone:+965...') sort after the dates and are locked the same way.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string|Array<string>} dates - Date string(s) (YYYY-MM-DD) or other lock keys
+ * @param {Function} fn - Async function to run while the lock is held
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} If the lock cannot be acquired within MAX_WAIT_MS
+ */
+export async function withDateLock(tenantId, dates, fn) {
+  const keys = [...new Set(Array.isArray(dates) ? dates : [dates])].sort();
+  const owner = randomUUID();
+  const acquired = [];
+
+  try {
+    for (const key of keys) {
+      await acquireLock(tenantId, key, owner);
+      acquired.push(key);
+    }
+
+    return await fn();
+  } finally {
+    for (const key of acquired) {
+      await releaseLock(tenantId, key, owner);
+    }
+  }
+}
+
+/**
+ * Acquire a single lease, waiting until it is free or expired
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} key - Lock key (date or phone)
+ * @param {string} owner - Unique owner token
+ * @returns {Promise<void>}
+ */
+async function acquireLock(tenantId, key, owner) {
+  const locksCol = database.getCollection(tenantId, 'booking_locks');
+  const deadline = Date.now() + MAX_WAIT_MS;
+
+  while (true) {
+    const now = new Date();
+
+    try {
+      // Matches only a free (expired) lease; a held lease makes the upsert collide on _id
+      await locksCol.findOneAndUpdate(
+        { _id: key, locked_until: { $lt: now } },
+        { $set: { owner, locked_until: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+      return;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Booking lock timeout for ${tenantId} on ${key}`);
+    }
+
+    await sleep(RETRY_DELAY_MS + Math.floor(Math.random() * RETRY_DELAY_MS));
+  }
+}
+
+/**
+ * Release a lease held by this owner
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} key - Lock key (date or phone)
+ * @param {string} owner - Unique owner token
+ * @returns {Promise<void>}
+ */
+async function releaseLock(tenantId, key, owner) {
+  const locksCol = database.getCollection(tenantId, 'booking_locks');
+  await locksCol.updateOne(
+    { _id: key, owner },
+    { $set: { locked_until: new Date(0) } }
+  );
+}
+
+/**
+ * Get the next value of a per-tenant counter atomically
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} name - Counter name
+ * @param {Function} [getSeed] - Async function returning the starting value when the counter does not exist yet
+ * @returns {Promise<number>} Next sequence value
+ */
+export async function nextSequence(tenantId, name, getSeed = null) {
+  const countersCol = database.getCollection(tenantId, 'counters');
+
+  if (getSeed && !(await countersCol.findOne({ _id: name }))) {
+    const seed = await getSeed();
+
+    try {
+      // $max keeps this safe when several callers seed the same counter
+      await countersCol.updateOne(
+        { _id: name },
+        { $max: { seq: seed } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  // A concurrent upsert of a brand new counter can collide once on _id
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const counter = await countersCol.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return counter.seq;
+    } catch (error) {
+      if (error.code !== 11000 || attempt > 0) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,186 @@
+/**
+ * Customer Profiles Service
+ * Maintains per-tenant customer records keyed by E.164 phone number
+ */
+
+import { getTimestamp } from '../utils/dateHelpers.js';
+import { getAppointmentItems } from '../utils/appointmentItems.js';
+import database from './database.js';
+
+/**
+ * Get a customer profile by phone number
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<Object|null>} Customer document or null if not found
+ */
+export async function getCustomer(tenantId, phoneNumber) {
+  const customersCol = database.getCollection(tenantId, 'customers');
+  return customersCol.findOne({ tenant_id: tenantId, phone_number: phoneNumber });
+}
+
+/**
+ * Create or update the customer profile for a new booking
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Newly created appointment
+ * @returns {Promise<void>}
+ */
+export async function recordBooking(tenantId, appointment) {
+  const customersCol = database.getCollection(tenantId, 'customers');
+
+  const increments = {
+    booking_count: 1,
+    ...getItemIncrements(appointment, 1)
+  };
+
+  await customersCol.updateOne(
+    { tenant_id: tenantId, phone_number: appointment.phone_number },
+    {
+      $set: {
+        customer_name: appointment.customer_name,
+        updated_at: getTimestamp()
+      },
+      $setOnInsert: {
+        visit_count: 0,
+        no_show_count: 0,
+        cancellation_count: 0,
+        notes: '',
+        preferred_stylist_id: null,
+        preferred_language: null,
+        created_at: getTimestamp()
+      },
+      $inc: increments
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Count a completed appointment as a visit
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Completed appointment
+ * @returns {Promise<void>}
+ */
+export async function recordVisit(tenantId, appointment) {
+  const customersCol = database.getCollection(tenantId, 'customers');
+
+  await customersCol.updateOne(
+    { tenant_id: tenantId, phone_number: appointment.phone_number },
+    {
+      $set: { updated_at: getTimestamp() },
+      $inc: { visit_count: 1 },
+      $max: { last_visit: appointment.date }
+    }
+  );
+}
+
+/**
+ * Update the customer profile after a cancellation
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Cancelled appointment
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.countCancellation=true] - False when the booking lapsed (e.g. unpaid deposit) rather than being cancelled
+ * @returns {Promise<void>}
+ */
+export async function recordCancellation(tenantId, appointment, options = {}) {
+  const { countCancellation = true } = options;
+  const customersCol = database.getCollection(tenantId, 'customers');
+
+  const increments = getItemIncrements(appointment, -1);
+
+  if (countCancellation) {
+    increments.cancellation_count = 1;
+  }
+
+  await customersCol.updateOne(
+    { tenant_id: tenantId, phone_number: appointment.phone_number },
+    {
+      $set: { updated_at: getTimestamp() },
+      $inc: increments
+    }
+  );
+}
+
+/**
+ * Update the customer profile after a no-show
+ * The booking is taken back out of the service and stylist counts, like a cancellation.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment the customer did not attend
+ * @returns {Promise<void>}
+ */
+export async function recordNoShow(tenantId, appointment) {
+  const customersCol = database.getCollection(tenantId, 'customers');
+
+  await customersCol.updateOne(
+    { tenant_id: tenantId, phone_number: appointment.phone_number },
+    {
+      $set: { updated_at: getTimestamp() },
+      $inc: {
+        no_show_count: 1,
+        ...getItemIncrements(appointment, -1)
+      }
+    }
+  );
+}
+
+/**
+ * Update editable customer fields
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} fields - Fields to set (customer_name, notes, preferred_stylist_id, preferred_language)
+ * @returns {Promise<Object|null>} Updated customer document or null if not found
+ */
+export async function updateCustomer(tenantId, phoneNumber, fields) {
+  const customersCol = database.getCollection(tenantId, 'customers');
+
+  const result = await customersCol.updateOne(
+    { tenant_id: tenantId, phone_number: phoneNumber },
+    { $set: { ...fields, updated_at: getTimestamp() } }
+  );
+
+  if (result.matchedCount === 0) {
+    return null;
+  }
+
+  return getCustomer(tenantId, phoneNumber);
+}
+
+/**
+ * Rank counted IDs (services or stylists) from most to least frequent
+ * @param {Object} counts - Map of ID to count
+ * @returns {Array<{id: string, count: number}>} Ranked entries with a positive count
+ */
+export function rankCounts(counts = {}) {
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, count]) => ({ id, count }));
+}
+
+/**
+ * Get the stylist a customer prefers
+ * @param {Object} customer - Customer document
+ * @returns {string|null} Explicit preference, else the most-booked stylist
+ */
+export function getPreferredStylistId(customer) {
+  return customer.preferred_stylist_id || rankCounts(customer.stylist_counts)[0]?.id || null;
+}
+
+/**
+ * Build service and stylist counter increments for every line item of a visit
+ * @param {Object} appointment - Appointment document
+ * @param {number} delta - 1 for a booking, -1 for a cancellation
+ * @returns {Object} $inc fields
+ */
+function getItemIncrements(appointment, delta) {
+  const increments = {};
+
+  for (const item of getAppointmentItems(appointment)) {
+    increments[`service_counts.${item.service_id}`] = delta;
+
+    if (item.stylist_id) {
+      increments[`stylist_counts.${item.stylist_id}`] = (increments[`stylist_counts.${item.stylist_id}`] || 0) + delta;
+    }
+  }
+
+  return increments;
+}
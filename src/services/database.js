@@ -69,8 +69,28 @@ class Database {
       await appointmentsCol.createIndex({ phone_number: 1 });
       await appointmentsCol.createIndex({ date: 1, time: 1 });
       await appointmentsCol.createIndex({ tenant_id: 1, date: 1 });
+      await appointmentsCol.createIndex({ date: 1, stylist_id: 1 });
       await appointmentsCol.createIndex({ status: 1 });
 
+      const customersCol = this.getCollection(tenantId, 'customers');
+      await customersCol.createIndex({ tenant_id: 1, phone_number: 1 }, { unique: true });
+
+      const blockedCol = this.getCollection(tenantId, 'blocked_slots');
+      await blockedCol.createIndex({ block_id: 1 }, { unique: true });
+      await blockedCol.createIndex({ tenant_id: 1, date: 1 });
+
+      const waitlistCol = this.getCollection(tenantId, 'waitlist');
+      await waitlistCol.createIndex({ waitlist_id: 1 }, { unique: true });
+      await waitlistCol.createIndex({ tenant_id: 1, date: 1, status: 1 });
+
+      await appointmentsCol.createIndex({ series_id: 1 }, { sparse: true });
+
+      const seriesCol = this.getCollection(tenantId, 'series');
+      await seriesCol.createIndex({ series_id: 1 }, { unique: true });
+
+      const eventsCol = this.getCollection(tenantId, 'appointment_events');
+      await eventsCol.createIndex({ tenant_id: 1, booking_id: 1, created_at: 1 });
+
       console.error(`✅ Indexes created for tenant: ${tenantId}`);
     } catch (error) {
       console.error(`❌ Index creation failed for ${tenantId}:`, error.message);
@@ -0,0 +1,166 @@
+/**
+ * No-Show Policy Service
+ * Scores a customer's reliability from their appointment history and applies the tenant's
+ * no-show policy to new self-bookings
+ *
+ * A strike is a no-show, or a cancellation made less than `late_cancellation_hours` before the
+ * appointment (including a move to a later date, when the reschedule policy counts it as one).
+ * Once a customer reaches `no_show_limit` strikes within `no_show_window_days`, their next
+ * bookings need a deposit (`no_show_action: 'deposit'`) or are refused (`'block'`) until
+ * `no_show_penalty_days` after the latest strike. Staff lift the penalty with the
+ * `reset_no_show_policy` tool; only later strikes count after that.
+ */
+
+import dayjs from 'dayjs';
+import { loadTenantConfig } from './tenantLoader.js';
+import { getCustomer } from './customerProfiles.js';
+import { formatDateArabic, getTenantTimezone } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+const DEFAULT_WINDOW_DAYS = 90;
+const DEFAULT_PENALTY_DAYS = 30;
+const DEFAULT_DEPOSIT_PERCENTAGE = 50;
+
+/**
+ * Get the tenant's no-show policy
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object|null} Policy, or null when `no_show_limit` is not set
+ */
+export function getNoShowPolicy(tenantId) {
+  const { settings } = loadTenantConfig(tenantId);
+
+  if (!settings.no_show_limit) {
+    return null;
+  }
+
+  return {
+    limit: settings.no_show_limit,
+    windowDays: settings.no_show_window_days || DEFAULT_WINDOW_DAYS,
+    action: settings.no_show_action || 'deposit',
+    penaltyDays: settings.no_show_penalty_days || DEFAULT_PENALTY_DAYS,
+    depositPercentage: settings.no_show_deposit_percentage || DEFAULT_DEPOSIT_PERCENTAGE
+  };
+}
+
+/**
+ * Check whether a cancellation made now counts as late
+ * @param {string} tenantId - Tenant identifier
+ * @param {number} hoursUntilAppointment - Notice given, in hours
+ * @returns {boolean}
+ */
+export function isLateCancellation(tenantId, hoursUntilAppointment) {
+  const lateHours = loadTenantConfig(tenantId).settings.late_cancellation_hours || 0;
+  return hoursUntilAppointment < lateHours;
+}
+
+/**
+ * Score a customer's reliability
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} [customer] - Customer profile, when already loaded
+ * @returns {Promise<Object>} { completed, no_shows, late_cancellations, score, strikes, restriction }
+ */
+export async function getReliability(tenantId, phoneNumber, customer = null) {
+  const profile = customer || await getCustomer(tenantId, phoneNumber);
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+
+  const history = await appointmentsCol.find({
+    tenant_id: tenantId,
+    phone_number: phoneNumber,
+    $or: [
+      { status: { $in: ['completed', 'no_show'] } },
+      { late_cancellation: true }
+    ]
+  }).toArray();
+
+  const completed = history.filter(apt => apt.status === 'completed').length;
+  const noShows = history.filter(apt => apt.status === 'no_show').length;
+  const strikeTimes = history.map(getStrikeTime).filter(Boolean).sort();
+
+  // Share of finished appointments the customer kept (null without history)
+  const finished = completed + strikeTimes.length;
+  const score = finished > 0 ? Math.round((completed / finished) * 100) : null;
+
+  const policy = getNoShowPolicy(tenantId);
+  let strikes = 0;
+  let restriction = null;
+
+  if (policy) {
+    const windowStart = dayjs().subtract(policy.windowDays, 'day').toISOString();
+    const since = profile?.no_show_policy_reset_at > windowStart ? profile.no_show_policy_reset_at : windowStart;
+    const recent = strikeTimes.filter(time => time >= since);
+    strikes = recent.length;
+
+    if (strikes >= policy.limit) {
+      const until = dayjs(recent[recent.length - 1]).add(policy.penaltyDays, 'day');
+
+      if (until.isAfter(dayjs())) {
+        restriction = {
+          action: policy.action,
+          until: until.toISOString(),
+          until_date: until.tz(getTenantTimezone(tenantId)).format('YYYY-MM-DD'),
+          deposit_percentage: policy.action === 'deposit' ? policy.depositPercentage : null
+        };
+      }
+    }
+  }
+
+  return {
+    completed,
+    no_shows: noShows,
+    late_cancellations: strikeTimes.length - noShows,
+    score,
+    strikes,
+    restriction
+  };
+}
+
+/**
+ * Apply the no-show policy to a new self-booking
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<{allowed: boolean, error?: string, depositPercentage?: number, notice?: string}>}
+ */
+export async function checkNoShowPolicy(tenantId, phoneNumber) {
+  if (!getNoShowPolicy(tenantId)) {
+    return { allowed: true };
+  }
+
+  const { strikes, restriction } = await getReliability(tenantId, phoneNumber);
+
+  if (!restriction) {
+    return { allowed: true };
+  }
+
+  const config = loadTenantConfig(tenantId);
+  const untilDate = formatDateArabic(restriction.until_date);
+
+  if (restriction.action === 'block') {
+    return {
+      allowed: false,
+      error: `عذراً، لا يمكن الحجز المباشر لهذا الرقم حتى ${untilDate} بسبب ${strikes} حالات عدم حضور أو إلغاء متأخر. يرجى التواصل مع الصالون على ${config.salon_info.phone}`
+    };
+  }
+
+  // The policy deposit never lowers a deposit the salon already asks for
+  const salonPercentage = config.settings.require_deposit ? config.settings.deposit_percentage || 0 : 0;
+
+  return {
+    allowed: true,
+    depositPercentage: Math.max(restriction.deposit_percentage, salonPercentage),
+    notice: `يتطلب الحجز دفع عربون حتى ${untilDate} بسبب ${strikes} حالات عدم حضور أو إلغاء متأخر`
+  };
+}
+
+/**
+ * Get when an appointment became a strike
+ * @param {Object} appointment - Appointment object
+ * @returns {string|null} ISO timestamp, or null when it is not a strike
+ */
+function getStrikeTime(appointment) {
+  if (appointment.status === 'no_show') {
+    return appointment.no_show_at;
+  }
+
+  return appointment.late_cancellation ? appointment.late_cancellation_at || appointment.cancelled_at : null;
+}
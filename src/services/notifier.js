@@ -0,0 +1,95 @@
+/**
+ * Notifier Service
+ * Pluggable transports for customer messages (WhatsApp via webhook, file or console for local testing)
+ *
+ * A transport is any object with `async send(notification)` where notification is
+ * { tenant_id, to, type, booking_id, message }. Sending must throw on failure.
+ */
+
+import { appendFile } from 'fs/promises';
+
+/**
+ * Console transport - prints messages to stderr (stdout is reserved for MCP STDIO)
+ */
+export class ConsoleTransport {
+  async send(notification) {
+    console.error(`📨 [${notification.tenant_id}] ${notification.type} → ${notification.to}\n${notification.message}\n`);
+  }
+}
+
+/**
+ * File transport - appends one JSON line per message
+ */
+export class FileTransport {
+  /**
+   * @param {string} filePath - Output file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send(notification) {
+    const line = JSON.stringify({ ...notification, sent_at: new Date().toISOString() });
+    await appendFile(this.filePath, `${line}\n`, 'utf-8');
+  }
+}
+
+/**
+ * Webhook transport - POSTs each message as JSON (e.g. to an n8n WhatsApp workflow)
+ */
+export class WebhookTransport {
+  /**
+   * @param {string} url - Webhook URL
+   * @param {string} [token] - Optional bearer token
+   */
+  constructor(url, token = null) {
+    this.url = url;
+    this.token = token;
+  }
+
+  async send(notification) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ channel: 'whatsapp', ...notification }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Create a notifier from environment variables
+ * NOTIFIER_TRANSPORT: console (default) | file | webhook
+ * NOTIFIER_FILE_PATH: output file for the file transport
+ * NOTIFIER_WEBHOOK_URL / NOTIFIER_WEBHOOK_TOKEN: webhook transport settings
+ * @returns {{send: Function}} Transport instance
+ */
+export function createNotifier() {
+  const transport = process.env.NOTIFIER_TRANSPORT || 'console';
+
+  switch (transport) {
+    case 'console':
+      return new ConsoleTransport();
+
+    case 'file':
+      return new FileTransport(process.env.NOTIFIER_FILE_PATH || './notifications.log');
+
+    case 'webhook':
+      if (!process.env.NOTIFIER_WEBHOOK_URL) {
+        throw new Error('NOTIFIER_WEBHOOK_URL is required for the webhook transport');
+      }
+      return new WebhookTransport(process.env.NOTIFIER_WEBHOOK_URL, process.env.NOTIFIER_WEBHOOK_TOKEN);
+
+    default:
+      throw new Error(`Unknown notifier transport: ${transport}`);
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Payments Service
+ * Deposit calculation, payment recording, expiry of unpaid bookings and refunds
+ */
+
+import { loadTenantConfig } from './tenantLoader.js';
+import { recordCancellation } from './customerProfiles.js';
+import { transitionAppointment } from './appointmentStatus.js';
+import { recordAppointmentEvent } from './appointmentEvents.js';
+import { getTimestamp, now } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+/**
+ * Calculate the deposit for a service
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} service - Service object
+ * @param {number|null} [depositPercentage=null] - Deposit required for this booking regardless of the salon setting (no-show policy)
+ * @returns {{required: boolean, amount: number, currency: string, percentage: number}}
+ */
+export function calculateDeposit(tenantId, service, depositPercentage = null) {
+  const config = loadTenantConfig(tenantId);
+  const required = depositPercentage !== null || config.settings.require_deposit;
+  const percentage = depositPercentage ?? (config.settings.deposit_percentage || 0);
+  const currency = service.currency || 'KWD';
+
+  if (!required || percentage <= 0 || !service.price) {
+    return { required: false, amount: 0, currency, percentage: 0 };
+  }
+
+  // KWD has 3 decimal places (fils)
+  const amount = Math.round(service.price * percentage * 10) / 1000;
+
+  return { required: true, amount, currency, percentage };
+}
+
+/**
+ * Build the status and payment fields for a new appointment
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} service - Service object
+ * @param {number|null} [depositPercentage=null] - Deposit required for this booking regardless of the salon setting
+ * @returns {Object} Appointment fields
+ */
+export function buildPaymentFields(tenantId, service, depositPercentage = null) {
+  const config = loadTenantConfig(tenantId);
+  const deposit = calculateDeposit(tenantId, service, depositPercentage);
+
+  if (!deposit.required) {
+    return { status: 'confirmed', payment_status: null };
+  }
+
+  const expiryMinutes = config.settings.deposit_expiry_minutes || 60;
+
+  return {
+    status: 'pending',
+    payment_status: 'unpaid',
+    deposit_amount: deposit.amount,
+    deposit_currency: deposit.currency,
+    deposit_percentage: deposit.percentage,
+    amount_paid: 0,
+    payment_due_at: now().add(expiryMinutes, 'minute').toISOString(),
+    payments: [],
+    refund_amount: 0,
+    refund_status: null
+  };
+}
+
+/**
+ * Expire pending bookings whose deposit was not paid in time
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<number>} Number of bookings expired
+ */
+export async function expireUnpaidBookings(tenantId) {
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const nowIso = now().toISOString();
+
+  const overdue = await appointmentsCol.find({
+    tenant_id: tenantId,
+    status: 'pending',
+    payment_due_at: { $lte: nowIso }
+  }).toArray();
+
+  let expired = 0;
+
+  for (const appointment of overdue) {
+    // Status guard: a payment landing at the same moment wins
+    const result = await transitionAppointment(tenantId, appointment, 'expired', { payment_status: 'expired' });
+
+    if (!result.error) {
+      expired++;
+
+      try {
+        await recordCancellation(tenantId, appointment, { countCancellation: false });
+      } catch (error) {
+        console.error('Customer profile update error:', error);
+      }
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * Record a payment against a pending booking
+ * Payments are idempotent by reference, so webhook retries are safe.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment object
+ * @param {{amount: number, reference: string, method?: string}} payment - Payment details
+ * @param {Object} [actor] - Who recorded the payment { channel, api_key_id, staff_id }
+ * @returns {Promise<{appointment: Object, duplicate: boolean}>} Updated appointment
+ */
+export async function applyPayment(tenantId, appointment, payment, actor = null) {
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+
+  if ((appointment.payments || []).some(p => p.reference === payment.reference)) {
+    return { appointment, duplicate: true };
+  }
+
+  const amountPaid = roundAmount((appointment.amount_paid || 0) + payment.amount);
+  const fullyPaid = amountPaid >= appointment.deposit_amount;
+
+  const updates = {
+    amount_paid: amountPaid,
+    payment_status: fullyPaid ? 'paid' : 'partially_paid',
+    updated_at: getTimestamp()
+  };
+
+  if (fullyPaid) {
+    updates.status = 'confirmed';
+    updates.confirmed_at = getTimestamp();
+  }
+
+  const result = await appointmentsCol.updateOne(
+    {
+      booking_id: appointment.booking_id,
+      tenant_id: tenantId,
+      status: 'pending',
+      'payments.reference': { $ne: payment.reference }
+    },
+    {
+      $set: updates,
+      $push: {
+        payments: {
+          reference: payment.reference,
+          amount: payment.amount,
+          method: payment.method || null,
+          recorded_at: getTimestamp()
+        }
+      }
+    }
+  );
+
+  const updated = await appointmentsCol.findOne({ booking_id: appointment.booking_id, tenant_id: tenantId });
+
+  if (result.modifiedCount > 0) {
+    await recordAppointmentEvent(tenantId, 'payment', appointment, updated, actor);
+  }
+
+  return { appointment: updated, duplicate: result.modifiedCount === 0 };
+}
+
+/**
+ * Calculate the refund owed when a booking is cancelled
+ * Cancellations that pass the notice policy refund everything paid;
+ * cancelAppointment rejects late cancellations before this is reached.
+ * @param {Object} appointment - Appointment object
+ * @returns {number} Refund amount
+ */
+export function calculateRefund(appointment) {
+  return roundAmount(appointment.amount_paid || 0);
+}
+
+/**
+ * Round to 3 decimal places (fils)
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 1000) / 1000;
+}
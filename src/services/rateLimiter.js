@@ -0,0 +1,208 @@
+/**
+ * Rate Limiter Service
+ * Fixed-window counters for HTTP requests (per IP / API key) and booking attempts (per phone)
+ *
+ * A store is any object with `async increment(key, windowMs)` returning
+ * { count, resetAt } for the current window, where resetAt is an epoch-ms timestamp.
+ * The in-memory store is the default; use the MongoDB store when running several instances.
+ */
+
+import { loadTenantConfig } from './tenantLoader.js';
+import { getAppointmentStart, getCurrentDate } from '../utils/dateHelpers.js';
+import { UPCOMING_STATUSES } from './appointmentStatus.js';
+import database from './database.js';
+
+/**
+ * In-memory store - per process, lost on restart
+ */
+export class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      this.prune(now);
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  /**
+   * Drop expired windows so the map does not grow without bound
+   * @param {number} now - Current epoch ms
+   */
+  prune(now) {
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * MongoDB store - shared across instances, windows removed by a TTL index
+ */
+export class MongoStore {
+  constructor() {
+    this.indexed = false;
+  }
+
+  async increment(key, windowMs) {
+    const col = database.getCollection('system', 'rate_limits');
+
+    if (!this.indexed) {
+      await col.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+      this.indexed = true;
+    }
+
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const id = `${key}:${windowStart}`;
+
+    const update = () => col.findOneAndUpdate(
+      { _id: id },
+      { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(resetAt) } },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    let doc;
+    try {
+      doc = await update();
+    } catch (error) {
+      // Two first hits in the same window raced on the upsert; the retry increments
+      if (error.code !== 11000) {
+        throw error;
+      }
+      doc = await update();
+    }
+
+    return { count: doc.count, resetAt };
+  }
+}
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE
+ * @returns {{increment: Function}} Store
+ */
+export function createRateLimitStore() {
+  const backend = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+
+    case 'mongo':
+      return new MongoStore();
+
+    default:
+      throw new Error(`Unknown rate limit store: ${backend}`);
+  }
+}
+
+let store = null;
+
+/**
+ * Replace the rate limit store (e.g. with a Redis-backed implementation)
+ * @param {{increment: Function}} customStore - Store
+ */
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Count one hit against a limit
+ * @param {string} key - Counter key (e.g. 'ip:1.2.3.4')
+ * @param {number} limit - Maximum hits per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterSeconds: number}>}
+ */
+export async function consume(key, limit, windowMs) {
+  if (!store) {
+    store = createRateLimitStore();
+  }
+
+  const { count, resetAt } = await store.increment(key, windowMs);
+
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+  };
+}
+
+/**
+ * Enforce the tenant's per-phone booking limits
+ * `max_bookings_per_phone_per_hour` counts booking attempts; `max_active_bookings_per_phone`
+ * counts upcoming confirmed or pending appointments.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<{allowed: boolean, error?: string}>}
+ */
+export async function checkPhoneBookingLimits(tenantId, phoneNumber) {
+  const config = loadTenantConfig(tenantId);
+  const maxPerHour = config.settings.max_bookings_per_phone_per_hour;
+
+  if (maxPerHour) {
+    const hourly = await consume(`booking:${tenantId}:${phoneNumber}`, maxPerHour, 60 * 60 * 1000);
+
+    if (!hourly.allowed) {
+      return {
+        allowed: false,
+        error: 'تم تجاوز الحد المسموح من محاولات الحجز لهذا الرقم، يرجى المحاولة لاحقاً'
+      };
+    }
+  }
+
+  return checkActiveBookingLimit(tenantId, phoneNumber);
+}
+
+/**
+ * Enforce the tenant's `max_active_bookings_per_phone`
+ * Checked again by createAppointment under the phone's booking lock, so parallel requests
+ * cannot exceed it.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string|null} [seriesId=null] - Recurring series being booked (already counted once)
+ * @returns {Promise<{allowed: boolean, error?: string}>}
+ */
+export async function checkActiveBookingLimit(tenantId, phoneNumber, seriesId = null) {
+  const config = loadTenantConfig(tenantId);
+  const maxActive = config.settings.max_active_bookings_per_phone;
+
+  if (!maxActive) {
+    return { allowed: true };
+  }
+
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const upcoming = await appointmentsCol.find({
+    tenant_id: tenantId,
+    phone_number: phoneNumber,
+    status: { $in: UPCOMING_STATUSES },
+    date: { $gte: getCurrentDate(tenantId) }
+  }).toArray();
+
+  // A recurring series counts as one booking
+  const now = Date.now();
+  const activeCount = new Set(upcoming
+    .filter(apt => getAppointmentStart(tenantId, apt).valueOf() > now)
+    .filter(apt => !seriesId || apt.series_id !== seriesId)
+    .map(apt => apt.series_id || apt.booking_id)).size;
+
+  if (activeCount >= maxActive) {
+    return {
+      allowed: false,
+      error: `لديك ${activeCount} حجوزات قادمة، وهو الحد الأقصى المسموح. يرجى إلغاء حجز أو انتظار موعده قبل حجز جديد`
+    };
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,122 @@
+/**
+ * Reminder Dispatcher Service
+ * Sends booking confirmations and reminders, recording each send on the appointment so it happens once
+ */
+
+import dayjs from 'dayjs';
+import { loadTenantConfig } from './tenantLoader.js';
+import { renderMessage } from '../utils/messageTemplates.js';
+import { getTimestamp, getTenantTimezone, getAppointmentStart } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+/**
+ * Send due confirmations and reminders for one tenant
+ * @param {string} tenantId - Tenant identifier
+ * @param {{send: Function}} notifier - Notifier transport
+ * @param {Object} [now] - Current time as a dayjs object (injectable for testing)
+ * @returns {Promise<{confirmations: number, reminders: number, failed: number}>} Send counts
+ */
+export async function dispatchNotifications(tenantId, notifier, now = dayjs()) {
+  const config = loadTenantConfig(tenantId);
+  const whatsapp = config.whatsapp || {};
+  const counts = { confirmations: 0, reminders: 0, failed: 0 };
+
+  if (!whatsapp.enabled) {
+    return counts;
+  }
+
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const timezone = getTenantTimezone(tenantId);
+  const today = now.tz(timezone).format('YYYY-MM-DD');
+
+  if (whatsapp.send_confirmations) {
+    // Only appointments created with the field ({ $type: 'null' } does not match a missing
+    // field), so older bookings are not confirmed retroactively
+    const pending = await appointmentsCol.find({
+      tenant_id: tenantId,
+      status: 'confirmed',
+      date: { $gte: today },
+      confirmation_sent_at: { $type: 'null' }
+    }).toArray();
+
+    for (const appointment of pending) {
+      if (!getAppointmentStart(tenantId, appointment).isAfter(now)) {
+        continue;
+      }
+
+      await deliver(tenantId, appointment, 'confirmation', 'confirmation_sent_at', notifier, counts);
+    }
+  }
+
+  if (whatsapp.send_reminders) {
+    const hoursBefore = whatsapp.reminder_hours_before || 24;
+    const horizon = now.add(hoursBefore, 'hour').tz(timezone).format('YYYY-MM-DD');
+
+    // Likewise only appointments created with the field, not older bookings without it
+    const upcoming = await appointmentsCol.find({
+      tenant_id: tenantId,
+      status: 'confirmed',
+      date: { $gte: today, $lte: horizon },
+      reminder_sent_at: { $type: 'null' }
+    }).toArray();
+
+    for (const appointment of upcoming) {
+      const start = getAppointmentStart(tenantId, appointment);
+      const dueAt = start.subtract(hoursBefore, 'hour');
+
+      if (now.isBefore(dueAt) || !now.isBefore(start)) {
+        continue;
+      }
+
+      await deliver(tenantId, appointment, 'reminder', 'reminder_sent_at', notifier, counts);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Claim, render and send one message
+ * The sent-at field is claimed before sending so concurrent workers never double-send,
+ * and released again if the transport fails so the next cycle retries.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment object
+ * @param {string} type - Message type ('confirmation' or 'reminder')
+ * @param {string} field - Appointment field recording the send time
+ * @param {{send: Function}} notifier - Notifier transport
+ * @param {Object} counts - Counters to update
+ * @returns {Promise<void>}
+ */
+async function deliver(tenantId, appointment, type, field, notifier, counts) {
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const claimedAt = getTimestamp();
+
+  const claim = await appointmentsCol.updateOne(
+    { booking_id: appointment.booking_id, tenant_id: tenantId, [field]: null },
+    { $set: { [field]: claimedAt } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return;
+  }
+
+  try {
+    await notifier.send({
+      tenant_id: tenantId,
+      to: appointment.phone_number,
+      type,
+      booking_id: appointment.booking_id,
+      message: renderMessage(tenantId, type, appointment)
+    });
+
+    counts[type === 'reminder' ? 'reminders' : 'confirmations']++;
+  } catch (error) {
+    console.error(`❌ ${type} failed for ${appointment.booking_id}:`, error.message);
+    counts.failed++;
+
+    await appointmentsCol.updateOne(
+      { booking_id: appointment.booking_id, tenant_id: tenantId, [field]: claimedAt },
+      { $set: { [field]: null } }
+    );
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Reschedule Policy Service
+ * Applies the tenant's reschedule rules to moving an appointment
+ *
+ * A move needs `reschedule_hours_notice` before the appointment's current start, and a booking
+ * may be moved `max_reschedules_per_booking` times. With `reschedule_later_counts_as_cancellation`,
+ * a move to a later date is held to the cancellation policy as well: it needs
+ * `cancellation_hours_notice`, and with less than `late_cancellation_hours` of notice it is a
+ * late cancellation (a strike in the no-show policy).
+ */
+
+import dayjs from 'dayjs';
+import { loadTenantConfig } from './tenantLoader.js';
+import { isLateCancellation } from './noShowPolicy.js';
+import { getAppointmentStart } from '../utils/dateHelpers.js';
+
+/**
+ * Check whether an appointment may be moved
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment as booked
+ * @param {string} newDate - Date it moves to (YYYY-MM-DD)
+ * @returns {{allowed: boolean, error?: string, lateCancellation?: boolean}}
+ */
+export function checkReschedulePolicy(tenantId, appointment, newDate) {
+  const config = loadTenantConfig(tenantId);
+  const { settings } = config;
+
+  const hoursUntilAppointment = getAppointmentStart(tenantId, appointment).diff(dayjs(), 'hour', true);
+
+  if (hoursUntilAppointment < 0) {
+    return { allowed: false, error: 'لا يمكن تغيير موعد انتهى بالفعل' };
+  }
+
+  const maxReschedules = settings.max_reschedules_per_booking;
+  if (maxReschedules !== undefined && (appointment.reschedule_count || 0) >= maxReschedules) {
+    return {
+      allowed: false,
+      error: `تم الوصول إلى الحد الأقصى لتغيير موعد هذا الحجز (${maxReschedules}). يرجى التواصل مع الصالون على ${config.salon_info.phone}`
+    };
+  }
+
+  const rescheduleHours = settings.reschedule_hours_notice || 0;
+  if (hoursUntilAppointment < rescheduleHours) {
+    return {
+      allowed: false,
+      error: `يجب تغيير الموعد قبل ${rescheduleHours} ساعة على الأقل من موعد الحجز`
+    };
+  }
+
+  if (settings.reschedule_later_counts_as_cancellation && newDate > appointment.date) {
+    const cancellationHours = settings.cancellation_hours_notice || 24;
+
+    if (hoursUntilAppointment < cancellationHours) {
+      return {
+        allowed: false,
+        error: `تأجيل الموعد إلى يوم لاحق يُعامل كإلغاء، ويجب أن يتم قبل ${cancellationHours} ساعة على الأقل من موعد الحجز`
+      };
+    }
+
+    return { allowed: true, lateCancellation: isLateCancellation(tenantId, hoursUntilAppointment) };
+  }
+
+  return { allowed: true, lateCancellation: false };
+}
@@ -6,28 +6,50 @@
 import dayjs from 'dayjs';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter.js';
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js';
-import { getWorkingHours, loadTenantConfig } from './tenantLoader.js';
+import {
+  getOpenIntervals,
+  loadTenantConfig,
+  getStylists,
+  getStylist,
+  getProcessingGap,
+  getResource
+} from './tenantLoader.js';
 import database from './database.js';
+import { nextSequence } from './concurrency.js';
+import { getBlockedSlotsInRange, findBlock } from './blockedSlots.js';
+import { ACTIVE_STATUSES } from './appointmentStatus.js';
+import { validateLeadTime, validateDate } from './validator.js';
+import { getTimestamp, timeToMinutes, minutesToTime, MINUTES_PER_DAY } from '../utils/dateHelpers.js';
+import { getAppointmentItems } from '../utils/appointmentItems.js';
 
 dayjs.extend(isSameOrAfter);
 dayjs.extend(isSameOrBefore);
 
 /**
  * Calculate available time slots for a given date and service
+ * When the tenant has a stylist roster, capacity is the number of qualified stylists free for the slot.
+ * Service buffers and processing gaps shape when stylists are busy, and shared resources
+ * (rooms, beds) cap capacity as well.
+ * Slots come from every opening interval of the date, including split shifts and the
+ * part after midnight of the previous night's hours; a slot may end after midnight.
  * @param {string} tenantId - Tenant identifier
  * @param {string} date - Date string (YYYY-MM-DD)
- * @param {number} serviceDuration - Service duration in minutes
- * @returns {Promise<Array<{time: string, available_slots: number}>>} Array of available time slots with capacity
+ * @param {number} serviceDuration - Service duration in minutes (total for a multi-service visit)
+ * @param {Object} [options] - Optional filters
+ * @param {string} [options.serviceId] - Service ID (restricts to stylists who perform it)
+ * @param {Array<Object>} [options.services] - Services of a multi-service visit, booked back to back
+ * @param {string} [options.stylistId] - Only return slots where this stylist is free
+ * @param {Array<Object>} [options.appointments] - Active appointments and holds for the date and the days either side, if already loaded
+ * @param {Array<Object>} [options.blockedSlots] - Blocked slots for the date and the days either side, if already loaded
+ * @returns {Promise<Array<{time: string, available_slots: number, stylists?: Array<{id: string, name: string}>}>>} Array of available time slots with capacity
  */
-export async function getAvailableSlots(tenantId, date, serviceDuration) {
-  // Get day of week
-  const dateObj = dayjs(date);
-  const dayName = dateObj.format('dddd').toLowerCase();
+export async function getAvailableSlots(tenantId, date, serviceDuration, options = {}) {
+  const { serviceId = null, services = null, stylistId = null } = options;
 
-  // Get working hours
-  const workingHours = getWorkingHours(tenantId, dayName);
+  // Get opening intervals (holidays and seasonal overrides included)
+  const intervals = getOpenIntervals(tenantId, date);
 
-  if (!workingHours.enabled) {
+  if (intervals.length === 0) {
     return [];
   }
 
@@ -36,34 +58,97 @@ export async function getAvailableSlots(tenantId, date, serviceDuration) {
   const slotDuration = config.settings.slot_duration_minutes || 30;
   const numberOfStylists = config.settings.number_of_stylists || 5;
 
-  // Generate all possible slots
-  const slots = [];
-  let currentTime = dayjs(`${date} ${workingHours.start}`, 'YYYY-MM-DD HH:mm');
-  const endTime = dayjs(`${date} ${workingHours.end}`, 'YYYY-MM-DD HH:mm');
+  // Generate all possible slots starting on this date, each fitting in its interval
+  const slotMinutes = new Set();
 
-  // Subtract service duration from end time to ensure appointment can fit
-  const lastSlotTime = endTime.subtract(serviceDuration, 'minute');
+  for (const interval of intervals) {
+    for (let minute = interval.start; minute + serviceDuration <= interval.end; minute += slotDuration) {
+      if (minute >= 0 && minute < MINUTES_PER_DAY) {
+        slotMinutes.add(minute);
+      }
+    }
+  }
+
+  const slots = [...slotMinutes].sort((a, b) => a - b).map(minutesToTime);
+
+  // Get existing appointments (and waitlist holds) around this date
+  const existingAppointments = options.appointments || await getSurroundingAppointments(tenantId, date);
 
-  while (currentTime.isBefore(lastSlotTime) || currentTime.isSame(lastSlotTime)) {
-    slots.push(currentTime.format('HH:mm'));
-    currentTime = currentTime.add(slotDuration, 'minute');
+  // A day (or service) at its daily cap has nothing to offer
+  const serviceIds = services ? services.map(s => s.id) : serviceId;
+  if (!checkDailyLimits(tenantId, serviceIds, existingAppointments.filter(apt => apt.date === date)).allowed) {
+    return [];
   }
 
-  // Get existing appointments for this date
-  const appointmentsCol = database.getCollection(tenantId, 'appointments');
-  const existingAppointments = await appointmentsCol.find({
-    date,
-    status: { $in: ['confirmed', 'pending'] }
-  }).toArray();
+  // Stylist and resource time each booking takes up, buffers included
+  const occupancy = getOccupancy(tenantId, existingAppointments, date);
+  const visitServices = services || [{ id: serviceId, duration_minutes: serviceDuration }];
+
+  // Drop slots inside the lead time or overlapping a salon-wide block
+  const blockedSlots = options.blockedSlots || await getSurroundingBlockedSlots(tenantId, date);
+  const openSlots = slots.filter(slot =>
+    validateLeadTime(tenantId, date, slot).valid &&
+    !findBlock(blockedSlots, date, slot, serviceDuration)
+  );
 
-  // Calculate available capacity for each slot
-  const availableSlots = slots
+  // Without a roster, capacity is the anonymous stylist count
+  if (getStylists(tenantId).length === 0) {
+    return openSlots
+      .map(slot => {
+        const ranges = getVisitRanges(tenantId, visitServices, timeToMinutes(slot));
+        const concurrentBookings = countOverlapping(ranges.stylist, occupancy.stylists);
+        const availableCapacity = Math.min(
+          numberOfStylists - concurrentBookings,
+          getResourceCapacity(tenantId, ranges.resources, occupancy.resources).capacity
+        );
+        return {
+          time: slot,
+          available_slots: availableCapacity
+        };
+      })
+      .filter(slot => slot.available_slots > 0);
+  }
+
+  const maxConcurrentBookings = config.settings.max_concurrent_bookings || numberOfStylists;
+
+  // A multi-service visit needs a stylist for every service in turn
+  if (services?.length > 1) {
+    return openSlots
+      .map(slot => {
+        const plan = planVisit(tenantId, date, slot, services, occupancy, blockedSlots, stylistId, maxConcurrentBookings);
+        if (!plan.available) {
+          return null;
+        }
+
+        const stylists = new Map(plan.stylists.map(s => [s.id, { id: s.id, name: s.name }]));
+        return {
+          time: slot,
+          available_slots: plan.available_slots,
+          stylists: [...stylists.values()]
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Calculate per-stylist capacity for each slot
+  const availableSlots = openSlots
     .map(slot => {
-      const concurrentBookings = countConcurrentBookings(slot, serviceDuration, existingAppointments, date);
-      const availableCapacity = numberOfStylists - concurrentBookings;
+      const start = timeToMinutes(slot);
+      const ranges = getServiceRanges(tenantId, serviceId, start, serviceDuration);
+      let freeStylists = getFreeStylists(tenantId, date, start, serviceDuration, serviceId, occupancy.stylists, blockedSlots);
+      const capacity = Math.min(
+        getRosterCapacity(freeStylists, ranges.stylist, occupancy.stylists, maxConcurrentBookings),
+        getResourceCapacity(tenantId, ranges.resources, occupancy.resources).capacity
+      );
+
+      if (stylistId) {
+        freeStylists = freeStylists.filter(s => s.id === stylistId);
+      }
+
       return {
         time: slot,
-        available_slots: availableCapacity
+        available_slots: Math.min(capacity, freeStylists.length),
+        stylists: freeStylists.map(s => ({ id: s.id, name: s.name }))
       };
     })
     .filter(slot => slot.available_slots > 0);
@@ -72,69 +157,657 @@ export async function getAvailableSlots(tenantId, date, serviceDuration) {
 }
 
 /**
- * Count concurrent bookings for a time slot
- * @param {string} time - Time slot (HH:MM)
- * @param {number} duration - Duration in minutes
- * @param {Array} existingAppointments - Array of existing appointments
+ * Summarise availability for each day of a date range
+ * Appointments, holds and blocks for the whole range are loaded once and shared by the days.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {number} serviceDuration - Service duration in minutes (total for a multi-service visit)
+ * @param {Object} [options] - Same filters as getAvailableSlots (serviceId, services, stylistId)
+ * @returns {Promise<Array<{date: string, status: string, reason?: string, slots: Array<Object>}>>}
+ *   One entry per day; status is 'open', 'full' or 'closed'
+ */
+export async function getAvailabilityRange(tenantId, startDate, endDate, serviceDuration, options = {}) {
+  // One day either side, for bookings and blocks reaching across midnight
+  const appointments = await getActiveAppointmentsInRange(tenantId, shiftDate(startDate, -1), shiftDate(endDate, 1));
+  const blockedSlots = await getBlockedSlotsInRange(tenantId, shiftDate(startDate, -1), shiftDate(endDate, 1));
+
+  const days = [];
+  const last = dayjs(endDate);
+
+  for (let day = dayjs(startDate); !day.isAfter(last); day = day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+
+    const dateValidation = validateDate(tenantId, date);
+    if (!dateValidation.valid) {
+      days.push({ date, status: 'closed', reason: dateValidation.error, slots: [] });
+      continue;
+    }
+
+    if (getOpenIntervals(tenantId, date).length === 0) {
+      days.push({ date, status: 'closed', reason: 'الصالون مغلق في هذا اليوم', slots: [] });
+      continue;
+    }
+
+    const isNear = (entryDate) => entryDate >= shiftDate(date, -1) && entryDate <= shiftDate(date, 1);
+    const slots = await getAvailableSlots(tenantId, date, serviceDuration, {
+      ...options,
+      appointments: appointments.filter(apt => isNear(apt.date)),
+      blockedSlots: blockedSlots.filter(block => isNear(block.date))
+    });
+
+    days.push({ date, status: slots.length > 0 ? 'open' : 'full', slots });
+  }
+
+  return days;
+}
+
+/**
+ * Get everything occupying capacity on a date: confirmed and pending appointments,
+ * plus slots held for waitlist customers who have an open offer
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {string} [options.phoneNumber] - Leave out holds offered to this phone number
+ * @returns {Promise<Array<Object>>} Appointments and holds (holds have status 'held')
+ */
+export async function getActiveAppointments(tenantId, date, options = {}) {
+  return getActiveAppointmentsInRange(tenantId, date, date, options);
+}
+
+/**
+ * Get everything occupying capacity between two dates (inclusive), in one query per collection
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {string} [options.phoneNumber] - Leave out holds offered to this phone number
+ * @returns {Promise<Array<Object>>} Appointments and holds (holds have status 'held')
+ */
+export async function getActiveAppointmentsInRange(tenantId, startDate, endDate, options = {}) {
+  const { phoneNumber = null } = options;
+  const dateRange = startDate === endDate ? startDate : { $gte: startDate, $lte: endDate };
+
+  // Unpaid bookings past their deposit deadline no longer hold capacity, even before
+  // the worker or the next booking expires them
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  const appointments = await appointmentsCol.find({
+    date: dateRange,
+    status: { $in: ACTIVE_STATUSES },
+    $nor: [{ status: 'pending', payment_due_at: { $lte: getTimestamp() } }]
+  }).toArray();
+
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+  const offered = await waitlistCol.find({
+    tenant_id: tenantId,
+    date: dateRange,
+    status: 'offered',
+    'offer.expires_at': { $gt: getTimestamp() }
+  }).toArray();
+
+  const holds = offered
+    .filter(entry => entry.phone_number !== phoneNumber)
+    .map(entry => ({
+      waitlist_id: entry.waitlist_id,
+      phone_number: entry.phone_number,
+      service_id: entry.service_id,
+      stylist_id: entry.offer.stylist_id,
+      date: entry.date,
+      time: entry.offer.time,
+      end_time: entry.offer.end_time,
+      status: 'held'
+    }));
+
+  return [...appointments, ...holds];
+}
+
+/**
+ * Get everything occupying capacity on a date and the dates either side
+ * Bookings late on the previous night can run past midnight into the date, and late
+ * bookings on the date into the next one.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} [options] - Same options as getActiveAppointments
+ * @returns {Promise<Array<Object>>} Appointments and holds
+ */
+function getSurroundingAppointments(tenantId, date, options = {}) {
+  return getActiveAppointmentsInRange(tenantId, shiftDate(date, -1), shiftDate(date, 1), options);
+}
+
+/**
+ * Get blocked slots on a date and the dates either side
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Blocked slot documents
+ */
+function getSurroundingBlockedSlots(tenantId, date) {
+  return getBlockedSlotsInRange(tenantId, shiftDate(date, -1), shiftDate(date, 1));
+}
+
+/**
+ * Move a date by whole days
  * @param {string} date - Date string (YYYY-MM-DD)
- * @returns {number} Number of concurrent bookings
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function shiftDate(date, days) {
+  return dayjs(date).add(days, 'day').format('YYYY-MM-DD');
+}
+
+/**
+ * Turn minutes from a date's midnight into a calendar date and time
+ * @param {string} date - Reference date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes from its midnight (may be negative or past 1440)
+ * @returns {{date: string, time: string}} Date and time (HH:MM)
+ */
+function toDateTime(date, minutes) {
+  return {
+    date: shiftDate(date, Math.floor(minutes / MINUTES_PER_DAY)),
+    time: minutesToTime(minutes)
+  };
+}
+
+/**
+ * Minutes from one time to the next occurrence of another (past midnight when earlier)
+ * @param {string} from - Time (HH:MM)
+ * @param {string} to - Time (HH:MM)
+ * @returns {number} Minutes (0-1439)
+ */
+function minutesBetween(from, to) {
+  return (timeToMinutes(to) - timeToMinutes(from) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Expand appointments into the time ranges they occupy
+ * Each line item keeps its stylist busy for its service plus buffers (minus any processing gap)
+ * and its resources busy for the whole time, buffers included.
+ * Ranges are in minutes from the date's midnight, so bookings from the previous night
+ * start below 0 and times after midnight follow on from 1440.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<Object>} appointments - Active appointments and holds
+ * @param {string} date - Date the ranges are measured from (YYYY-MM-DD)
+ * @returns {{stylists: Array<Object>, resources: Array<Object>}} Occupied stylist and resource ranges
  */
-function countConcurrentBookings(time, duration, existingAppointments, date) {
-  const slotStart = dayjs(`${date} ${time}`, 'YYYY-MM-DD HH:mm');
-  const slotEnd = slotStart.add(duration, 'minute');
+function getOccupancy(tenantId, appointments, date) {
+  const stylists = [];
+  const resources = [];
 
-  let count = 0;
-  for (const apt of existingAppointments) {
-    const aptStart = dayjs(`${date} ${apt.time}`, 'YYYY-MM-DD HH:mm');
-    const aptEnd = dayjs(`${date} ${apt.end_time}`, 'YYYY-MM-DD HH:mm');
+  for (const apt of appointments) {
+    const visitStart = dayjs(apt.date).diff(dayjs(date), 'day') * MINUTES_PER_DAY + timeToMinutes(apt.time);
 
-    // Check for any overlap
-    if (
-      (slotStart.isSameOrAfter(aptStart) && slotStart.isBefore(aptEnd)) ||
-      (slotEnd.isAfter(aptStart) && slotEnd.isSameOrBefore(aptEnd)) ||
-      (slotStart.isSameOrBefore(aptStart) && slotEnd.isSameOrAfter(aptEnd))
-    ) {
-      count++;
+    getAppointmentItems(apt).forEach((item, index) => {
+      // Ranges of the same item count once, however many of them a slot overlaps
+      const key = `${apt.booking_id || apt.waitlist_id}:${index}`;
+      const start = visitStart + minutesBetween(apt.time, item.time);
+      const ranges = getServiceRanges(tenantId, item.service_id, start, minutesBetween(item.time, item.end_time));
+
+      for (const range of ranges.stylist) {
+        stylists.push({ key, booking_id: apt.booking_id, service_id: item.service_id, stylist_id: item.stylist_id, ...range });
+      }
+
+      for (const range of ranges.resources) {
+        resources.push({ key, booking_id: apt.booking_id, ...range });
+      }
+    });
+  }
+
+  return { stylists, resources };
+}
+
+/**
+ * Get the time ranges a service takes up when it starts at a time
+ * `buffer_before` (prep) and `buffer_after` (cleanup) extend both the stylist's and the
+ * resources' time; during `processing_gap` the stylist is free for another customer
+ * while the resources stay in use.
+ * Ranges are in minutes from midnight and may run past 1440 (after midnight).
+ * @param {string} tenantId - Tenant identifier
+ * @param {string|null} serviceId - Service ID (no buffers or resources when unknown)
+ * @param {number} start - Service start in minutes from midnight
+ * @param {number} duration - Service duration in minutes
+ * @returns {{stylist: Array<{start: number, end: number, duration: number}>, resources: Array<{resource_id: string, start: number, end: number, duration: number}>}}
+ */
+export function getServiceRanges(tenantId, serviceId, start, duration) {
+  const config = loadTenantConfig(tenantId);
+  const service = serviceId ? config.services.find(s => s.id === serviceId) : null;
+  const before = service?.buffer_before || 0;
+  const after = service?.buffer_after || 0;
+
+  const range = (offset, minutes) => ({
+    start: start + offset,
+    end: start + offset + minutes,
+    duration: minutes
+  });
+
+  const gap = service ? getProcessingGap(service) : null;
+  const stylist = gap
+    ? [range(-before, before + gap.start), range(gap.start + gap.minutes, duration - gap.start - gap.minutes + after)]
+    : [range(-before, before + duration + after)];
+
+  const resources = (service?.resource_ids || []).map(resourceId => ({
+    resource_id: resourceId,
+    ...range(-before, before + duration + after)
+  }));
+
+  return { stylist, resources };
+}
+
+/**
+ * Get the ranges of a visit whose services follow each other from a start time
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<{id: string|null, duration_minutes: number}>} services - Services in visit order
+ * @param {number} start - Visit start in minutes from midnight
+ * @returns {{stylist: Array<Object>, resources: Array<Object>}} Combined ranges
+ */
+function getVisitRanges(tenantId, services, start) {
+  const visit = { stylist: [], resources: [] };
+
+  for (const service of services) {
+    const ranges = getServiceRanges(tenantId, service.id, start, service.duration_minutes);
+    visit.stylist.push(...ranges.stylist);
+    visit.resources.push(...ranges.resources);
+    start += service.duration_minutes;
+  }
+
+  return visit;
+}
+
+/**
+ * Get the dates a visit occupies, buffers included
+ * A late visit can run past midnight; locking every date it touches keeps bookings on either
+ * side of midnight from overbooking each other.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Visit date (YYYY-MM-DD)
+ * @param {string} time - Visit start time (HH:MM)
+ * @param {Array<{id: string|null, duration_minutes: number}>} services - Services in visit order
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+export function getVisitDates(tenantId, date, time, services) {
+  const ranges = getVisitRanges(tenantId, services, timeToMinutes(time));
+  const all = [...ranges.stylist, ...ranges.resources];
+  const first = Math.min(...all.map(range => range.start));
+  const last = Math.max(...all.map(range => range.end)) - 1;
+
+  return [...new Set([toDateTime(date, first).date, date, toDateTime(date, last).date])];
+}
+
+/**
+ * Compute how many more bookings the shared resources allow for some ranges
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<Object>} ranges - Resource ranges the booking needs (from getServiceRanges)
+ * @param {Array<Object>} occupiedResources - Resource ranges already taken (from getOccupancy)
+ * @returns {{capacity: number, resource?: Object}} Remaining capacity (Infinity without resources) and the scarcest resource
+ */
+function getResourceCapacity(tenantId, ranges, occupiedResources) {
+  let result = { capacity: Infinity };
+
+  for (const range of ranges) {
+    const resource = getResource(tenantId, range.resource_id);
+    const used = countOverlapping([range], occupiedResources.filter(r => r.resource_id === range.resource_id));
+    const capacity = Math.max(0, (resource?.capacity || 1) - used);
+
+    if (capacity < result.capacity) {
+      result = { capacity, resource };
     }
   }
 
-  return count;
+  return result;
 }
 
 /**
- * Check if a time slot conflicts with existing appointments (DEPRECATED - use countConcurrentBookings)
- * @param {string} time - Time slot (HH:MM)
- * @param {number} duration - Duration in minutes
- * @param {Array} existingAppointments - Array of existing appointments
+ * Build the error for a slot whose resource is fully used
+ * @param {Object} resource - Resource object
+ * @returns {string} Arabic error
+ */
+function resourceUnavailableError(resource) {
+  return `لا يمكن الحجز في هذا الوقت لعدم توفر: ${resource?.name || 'المكان المطلوب'}`;
+}
+
+/**
+ * Plan a multi-service visit starting at a time
+ * Services follow each other without gaps. Each is given the requested stylist, or the stylist
+ * from the previous service (the preferred one for the first) when they are free and qualified,
+ * or else the least busy free one.
+ * @param {string} tenantId - Tenant identifier
  * @param {string} date - Date string (YYYY-MM-DD)
- * @returns {boolean} True if slot conflicts
+ * @param {string} time - Visit start time (HH:MM)
+ * @param {Array<Object>} services - Services in visit order
+ * @param {{stylists: Array, resources: Array}} occupancy - Occupied ranges (from getOccupancy)
+ * @param {Array} blockedSlots - Blocked slots for the date
+ * @param {string|null} stylistId - Requested stylist for every service
+ * @param {number} maxConcurrentBookings - Salon-wide concurrency cap
+ * @param {string|null} [preferredStylistId] - Stylist to keep when free, without requiring them
+ * @returns {{available: boolean, available_slots?: number, stylists?: Array<Object>, error?: string}}
  */
-function isSlotConflicting(time, duration, existingAppointments, date) {
-  return countConcurrentBookings(time, duration, existingAppointments, date) > 0;
+function planVisit(tenantId, date, time, services, occupancy, blockedSlots, stylistId, maxConcurrentBookings, preferredStylistId = null) {
+  const stylists = [];
+  let start = timeToMinutes(time);
+  let capacity = Infinity;
+  let previous = preferredStylistId ? { id: preferredStylistId } : null;
+
+  for (const service of services) {
+    const duration = service.duration_minutes;
+    const ranges = getServiceRanges(tenantId, service.id, start, duration);
+    const resources = getResourceCapacity(tenantId, ranges.resources, occupancy.resources);
+
+    if (resources.capacity <= 0) {
+      return {
+        available: false,
+        error: resourceUnavailableError(resources.resource)
+      };
+    }
+
+    const freeStylists = getFreeStylists(tenantId, date, start, duration, service.id, occupancy.stylists, blockedSlots);
+    capacity = Math.min(
+      capacity,
+      resources.capacity,
+      getRosterCapacity(freeStylists, ranges.stylist, occupancy.stylists, maxConcurrentBookings)
+    );
+
+    if (capacity <= 0) {
+      return {
+        available: false,
+        error: `لا توجد كوافيرة متاحة لخدمة ${service.name} الساعة ${minutesToTime(start)}`
+      };
+    }
+
+    let stylist;
+    if (stylistId) {
+      stylist = freeStylists.find(s => s.id === stylistId);
+      if (!stylist) {
+        return {
+          available: false,
+          error: 'الكوافيرة المطلوبة غير متاحة في هذا الوقت'
+        };
+      }
+    } else {
+      stylist = freeStylists.find(s => s.id === previous?.id) || pickStylist(freeStylists, occupancy.stylists);
+    }
+
+    stylists.push(stylist);
+    previous = stylist;
+    start += duration;
+  }
+
+  return { available: true, available_slots: capacity, stylists };
+}
+
+/**
+ * Get stylists who can perform a service and are working on a date
+ * A stylist whose previous night's shift runs past midnight counts as working.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string|null} [serviceId] - Service ID, or null for any service
+ * @returns {Array<Object>} Qualified stylists
+ */
+export function getQualifiedStylists(tenantId, date, serviceId = null) {
+  return getStylists(tenantId).filter(stylist =>
+    (!serviceId || (stylist.service_ids || []).includes(serviceId)) &&
+    getOpenIntervals(tenantId, date, stylist).length > 0
+  );
+}
+
+/**
+ * Get qualified stylists who are free for the whole slot
+ * Buffers count as working time, so the whole visit must fit in one of the stylist's shifts.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} start - Service start in minutes from the date's midnight
+ * @param {number} duration - Duration in minutes
+ * @param {string|null} serviceId - Service ID
+ * @param {Array} occupiedStylists - Occupied stylist ranges (from getOccupancy)
+ * @param {Array} [blockedSlots] - Blocked slots for the date and the days either side
+ * @returns {Array<Object>} Free stylists
+ */
+function getFreeStylists(tenantId, date, start, duration, serviceId, occupiedStylists, blockedSlots = []) {
+  const ranges = getServiceRanges(tenantId, serviceId, start, duration).stylist;
+  const workStart = ranges[0].start;
+  const workEnd = ranges[ranges.length - 1].end;
+
+  return getQualifiedStylists(tenantId, date, serviceId).filter(stylist => {
+    const shifts = getOpenIntervals(tenantId, date, stylist);
+
+    if (!shifts.some(shift => workStart >= shift.start && workEnd <= shift.end)) {
+      return false;
+    }
+
+    if (ranges.some(range => {
+      const at = toDateTime(date, range.start);
+      return findBlock(blockedSlots, at.date, at.time, range.duration, stylist.id);
+    })) {
+      return false;
+    }
+
+    const ownRanges = occupiedStylists.filter(apt => apt.stylist_id === stylist.id);
+    return countOverlapping(ranges, ownRanges) === 0;
+  });
+}
+
+/**
+ * Compute slot capacity for a tenant with a stylist roster
+ * Appointments without a stylist (booked before the roster existed) still occupy someone,
+ * and the salon-wide max_concurrent_bookings still caps the total.
+ * @param {Array<Object>} freeStylists - Qualified stylists free for the slot
+ * @param {Array<Object>} ranges - Stylist ranges of the new booking (from getServiceRanges)
+ * @param {Array} occupiedStylists - Occupied stylist ranges (from getOccupancy)
+ * @param {number} maxConcurrentBookings - Salon-wide concurrency cap
+ * @returns {number} Number of bookings that can still be made
+ */
+function getRosterCapacity(freeStylists, ranges, occupiedStylists, maxConcurrentBookings) {
+  const unassigned = occupiedStylists.filter(apt => !apt.stylist_id);
+  const unassignedCount = countOverlapping(ranges, unassigned);
+  const concurrentCount = countOverlapping(ranges, occupiedStylists);
+
+  return Math.max(0, Math.min(
+    freeStylists.length - unassignedCount,
+    maxConcurrentBookings - concurrentCount
+  ));
+}
+
+/**
+ * Check the salon's and the service's daily booking caps
+ * @param {string} tenantId - Tenant identifier
+ * @param {string|Array<string>|null} serviceId - Service ID, or the IDs of a multi-service visit (per-service cap is skipped when null)
+ * @param {Array} existingAppointments - Active appointments on the date
+ * @returns {{allowed: boolean, error?: string}}
+ */
+export function checkDailyLimits(tenantId, serviceId, existingAppointments) {
+  const config = loadTenantConfig(tenantId);
+  const maxDailyBookings = config.settings.max_daily_bookings;
+
+  if (maxDailyBookings && existingAppointments.length >= maxDailyBookings) {
+    return {
+      allowed: false,
+      error: 'تم الوصول للحد الأقصى من الحجوزات لهذا اليوم، يرجى اختيار يوم آخر'
+    };
+  }
+
+  for (const id of [].concat(serviceId || [])) {
+    const service = config.services.find(s => s.id === id);
+
+    if (service?.max_daily_bookings) {
+      const serviceCount = existingAppointments.filter(apt =>
+        getAppointmentItems(apt).some(item => item.service_id === id)
+      ).length;
+
+      if (serviceCount >= service.max_daily_bookings) {
+        return {
+          allowed: false,
+          error: `تم الوصول للحد الأقصى لحجوزات خدمة ${service.name} لهذا اليوم، يرجى اختيار يوم آخر`
+        };
+      }
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Pick the free stylist with the fewest appointments that day
+ * @param {Array<Object>} freeStylists - Free stylists
+ * @param {Array} occupiedStylists - Occupied stylist ranges (from getOccupancy)
+ * @returns {Object} Chosen stylist
+ */
+function pickStylist(freeStylists, occupiedStylists) {
+  const load = (stylist) => new Set(
+    occupiedStylists.filter(apt => apt.stylist_id === stylist.id).map(apt => apt.key)
+  ).size;
+  return freeStylists.reduce((best, stylist) => (load(stylist) < load(best) ? stylist : best));
+}
+
+/**
+ * Count occupied ranges overlapping any of a booking's ranges
+ * Ranges sharing a `key` (one line item split by a processing gap) count once.
+ * Both sides are in minutes from the same midnight (see getOccupancy).
+ * @param {Array<{start: number, end: number}>} ranges - Ranges of the new booking
+ * @param {Array<Object>} occupied - Occupied ranges
+ * @returns {number} Number of overlapping bookings
+ */
+function countOverlapping(ranges, occupied) {
+  const overlapping = new Set();
+
+  for (const range of ranges) {
+    for (const apt of occupied) {
+      // Check for any overlap
+      if (range.start < apt.end && range.end > apt.start) {
+        overlapping.add(apt.key || apt);
+      }
+    }
+  }
+
+  return overlapping.size;
 }
 
 /**
  * Check if a specific time slot is available
+ * With a stylist roster, also assigns a stylist (the requested one, or the least busy qualified one)
  * @param {string} tenantId - Tenant identifier
  * @param {string} date - Date string (YYYY-MM-DD)
  * @param {string} time - Time string (HH:MM)
  * @param {number} duration - Duration in minutes
- * @returns {Promise<{available: boolean, available_slots?: number, error?: string}>}
+ * @param {Object} [options] - Optional constraints
+ * @param {string} [options.serviceId] - Service ID (restricts to stylists who perform it)
+ * @param {Array<Object>} [options.services] - Services of a multi-service visit, booked back to back
+ * @param {string} [options.stylistId] - Requested stylist ID
+ * @param {string} [options.preferredStylistId] - Stylist to keep when free (e.g. when moving a booking)
+ * @param {string} [options.phoneNumber] - Booking customer's phone (their own waitlist hold is ignored)
+ * @param {string} [options.excludeBookingId] - Booking being changed, which does not count against itself
+ * @returns {Promise<{available: boolean, available_slots?: number, stylist?: {id: string, name: string}, stylists?: Array<{id: string, name: string}|null>, error?: string}>}
+ *   `stylists` has the stylist for each service (null entries without a roster)
  */
-export async function isSlotAvailable(tenantId, date, time, duration) {
+export async function isSlotAvailable(tenantId, date, time, duration, options = {}) {
+  const { serviceId = null, stylistId = null, preferredStylistId = null, phoneNumber = null, excludeBookingId = null } = options;
+  const services = options.services || [{ id: serviceId, duration_minutes: duration }];
   const config = loadTenantConfig(tenantId);
   const maxConcurrentBookings = config.settings.max_concurrent_bookings || 5;
 
-  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+  // The customer's own waitlist hold does not count against them
+  const surrounding = await getSurroundingAppointments(tenantId, date, { phoneNumber });
+  const existingAppointments = surrounding.filter(apt => !excludeBookingId || apt.booking_id !== excludeBookingId);
+  const sameDay = existingAppointments.filter(apt => apt.date === date);
 
-  const existingAppointments = await appointmentsCol.find({
-    date,
-    status: { $in: ['confirmed', 'pending'] }
-  }).toArray();
+  const dailyLimits = checkDailyLimits(tenantId, services.map(s => s.id).filter(Boolean), sameDay);
+  if (!dailyLimits.allowed) {
+    return {
+      available: false,
+      available_slots: 0,
+      error: dailyLimits.error
+    };
+  }
+
+  // Stylist and resource time each booking takes up, buffers included
+  const occupancy = getOccupancy(tenantId, existingAppointments, date);
+  const start = timeToMinutes(time);
+
+  // Salon-wide blocks close the slot for everyone
+  const blockedSlots = await getSurroundingBlockedSlots(tenantId, date);
+  if (findBlock(blockedSlots, date, time, duration)) {
+    return {
+      available: false,
+      available_slots: 0,
+      error: 'هذا الوقت غير متاح للحجز'
+    };
+  }
+
+  // Without a roster, capacity is the anonymous concurrency limit
+  if (getStylists(tenantId).length === 0) {
+    const ranges = getVisitRanges(tenantId, services, start);
+    const concurrentCount = countOverlapping(ranges.stylist, occupancy.stylists);
+
+    if (concurrentCount >= maxConcurrentBookings) {
+      return {
+        available: false,
+        available_slots: 0,
+        error: 'لا توجد كوافيرة متاحة في هذا الوقت'
+      };
+    }
+
+    const resources = getResourceCapacity(tenantId, ranges.resources, occupancy.resources);
+    if (resources.capacity <= 0) {
+      return {
+        available: false,
+        available_slots: 0,
+        error: resourceUnavailableError(resources.resource)
+      };
+    }
+
+    return {
+      available: true,
+      available_slots: Math.min(maxConcurrentBookings - concurrentCount, resources.capacity),
+      stylists: services.map(() => null)
+    };
+  }
+
+  // Validate requested stylist
+  if (stylistId) {
+    const stylist = getStylist(tenantId, stylistId);
 
-  const concurrentCount = countConcurrentBookings(time, duration, existingAppointments, date);
+    if (!stylist) {
+      return { available: false, error: 'الكوافيرة المطلوبة غير موجودة' };
+    }
+
+    const unqualified = services.find(s => s.id && !(stylist.service_ids || []).includes(s.id));
+    if (unqualified) {
+      return {
+        available: false,
+        error: services.length > 1
+          ? `الكوافيرة المطلوبة لا تقدم خدمة ${unqualified.name}`
+          : 'الكوافيرة المطلوبة لا تقدم هذه الخدمة'
+      };
+    }
+  }
+
+  if (services.length > 1) {
+    const plan = planVisit(tenantId, date, time, services, occupancy, blockedSlots, stylistId, maxConcurrentBookings, preferredStylistId);
+    if (!plan.available) {
+      return { available: false, available_slots: 0, error: plan.error };
+    }
+
+    const [first] = plan.stylists;
+    return {
+      available: true,
+      available_slots: plan.available_slots,
+      stylist: { id: first.id, name: first.name },
+      stylists: plan.stylists.map(s => ({ id: s.id, name: s.name }))
+    };
+  }
+
+  const ranges = getServiceRanges(tenantId, serviceId, start, duration);
+  const resources = getResourceCapacity(tenantId, ranges.resources, occupancy.resources);
+  if (resources.capacity <= 0) {
+    return {
+      available: false,
+      available_slots: 0,
+      error: resourceUnavailableError(resources.resource)
+    };
+  }
+
+  const freeStylists = getFreeStylists(tenantId, date, start, duration, serviceId, occupancy.stylists, blockedSlots);
+  const capacity = Math.min(
+    getRosterCapacity(freeStylists, ranges.stylist, occupancy.stylists, maxConcurrentBookings),
+    resources.capacity
+  );
 
-  if (concurrentCount >= maxConcurrentBookings) {
+  if (capacity <= 0) {
     return {
       available: false,
       available_slots: 0,
@@ -142,27 +815,44 @@ export async function isSlotAvailable(tenantId, date, time, duration) {
     };
   }
 
+  let stylist;
+  if (stylistId) {
+    stylist = freeStylists.find(s => s.id === stylistId);
+    if (!stylist) {
+      return {
+        available: false,
+        available_slots: capacity,
+        error: 'الكوافيرة المطلوبة غير متاحة في هذا الوقت'
+      };
+    }
+  } else {
+    stylist = freeStylists.find(s => s.id === preferredStylistId) || pickStylist(freeStylists, occupancy.stylists);
+  }
+
   return {
     available: true,
-    available_slots: maxConcurrentBookings - concurrentCount
+    available_slots: capacity,
+    stylist: { id: stylist.id, name: stylist.name },
+    stylists: [{ id: stylist.id, name: stylist.name }]
   };
 }
 
 /**
  * Calculate end time based on start time and duration
+ * An appointment running past midnight ends earlier in the clock than it starts
+ * (23:30 + 60 gives 00:30); overlap checks work from the start and duration instead.
  * @param {string} startTime - Start time (HH:MM)
  * @param {number} duration - Duration in minutes
  * @returns {string} End time (HH:MM)
  */
 export function calculateEndTime(startTime, duration) {
-  const start = dayjs(startTime, 'HH:mm');
-  const end = start.add(duration, 'minute');
-  return end.format('HH:mm');
+  return minutesToTime(timeToMinutes(startTime) + duration);
 }
 
 /**
  * Generate unique booking ID
  * Format: BK-{tenant_id}-{YYYYMMDD}-{seq}
+ * The sequence comes from an atomic per-date counter, seeded from existing bookings the first time
  * @param {string} tenantId - Tenant identifier
  * @param {string} date - Date string (YYYY-MM-DD)
  * @returns {Promise<string>} Booking ID
@@ -172,21 +862,22 @@ export async function generateBookingId(tenantId, date) {
 
   // Get the date in YYYYMMDD format
   const dateStr = date.replace(/-/g, '');
-
-  // Find the highest sequence number for this date
   const prefix = `BK-${tenantId}-${dateStr}-`;
-  // Escape regex special characters
-  const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const existingBookings = await appointmentsCol.find({
-    booking_id: { $regex: `^${escapedPrefix}` }
-  }).sort({ booking_id: -1 }).limit(1).toArray();
-
-  let sequence = 1;
-  if (existingBookings.length > 0) {
-    const lastId = existingBookings[0].booking_id;
-    const lastSeq = parseInt(lastId.split('-').pop());
-    sequence = lastSeq + 1;
-  }
+
+  const sequence = await nextSequence(tenantId, `booking-${dateStr}`, async () => {
+    // Find the highest sequence number issued before counters existed
+    // Escape regex special characters
+    const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const existingBookings = await appointmentsCol.find({
+      booking_id: { $regex: `^${escapedPrefix}` }
+    }).sort({ booking_id: -1 }).limit(1).toArray();
+
+    if (existingBookings.length === 0) {
+      return 0;
+    }
+
+    return parseInt(existingBookings[0].booking_id.split('-').pop());
+  });
 
   const seqStr = sequence.toString().padStart(3, '0');
   return `${prefix}${seqStr}`;
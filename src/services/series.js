@@ -0,0 +1,231 @@
+/**
+ * Recurring Series Service
+ * Recurrence rules, series records and alternative times for conflicting occurrences
+ *
+ * A series is a set of appointments sharing a `series_id`; each occurrence is a normal
+ * appointment, so find/update/cancel keep working on them one by one.
+ */
+
+import dayjs from 'dayjs';
+import { loadTenantConfig } from './tenantLoader.js';
+import { getAvailableSlots } from './scheduler.js';
+import { nextSequence } from './concurrency.js';
+import { validateServices } from './validator.js';
+import { UPCOMING_STATUSES, transitionAppointment } from './appointmentStatus.js';
+import { recordCancellation } from './customerProfiles.js';
+import { promoteWaitlist } from './waitlist.js';
+import { getTimestamp, getCurrentDate, formatDateArabic, timeToMinutes } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+// Weekly occurrences that fit in the default 30-day booking horizon
+const DEFAULT_MAX_OCCURRENCES = 5;
+const DEFAULT_ADVANCE_BOOKING_DAYS = 30;
+
+/**
+ * Expand a recurrence rule into occurrence dates
+ * Only weekly rules are supported: every `interval` weeks, for `count` occurrences or until `until`.
+ * Every occurrence must fall within `advance_booking_days`, like a single booking.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {Object} recurrence - Rule { frequency: 'weekly', interval, count, until }
+ * @returns {{dates?: Array<string>, error?: string}}
+ */
+export function buildOccurrenceDates(tenantId, startDate, recurrence = {}) {
+  const config = loadTenantConfig(tenantId);
+  const maxOccurrences = config.settings.max_series_occurrences || DEFAULT_MAX_OCCURRENCES;
+  const maxAdvanceDays = config.settings.advance_booking_days || DEFAULT_ADVANCE_BOOKING_DAYS;
+  const horizon = dayjs(getCurrentDate(tenantId), 'YYYY-MM-DD').add(maxAdvanceDays, 'day');
+  const { frequency = 'weekly', interval = 1, count = null, until = null } = recurrence;
+
+  if (frequency !== 'weekly') {
+    return { error: 'التكرار المدعوم هو الأسبوعي فقط' };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+    return { error: 'فترة التكرار يجب أن تكون من أسبوع إلى 4 أسابيع' };
+  }
+
+  if (!count && !until) {
+    return { error: 'يجب تحديد عدد المواعيد أو تاريخ انتهاء التكرار' };
+  }
+
+  if (count !== null && (!Number.isInteger(count) || count < 2)) {
+    return { error: 'عدد المواعيد المتكررة يجب أن يكون 2 على الأقل' };
+  }
+
+  const start = dayjs(startDate, 'YYYY-MM-DD', true);
+  const end = until ? dayjs(until, 'YYYY-MM-DD', true) : null;
+
+  if (!start.isValid() || (until && !end.isValid())) {
+    return { error: 'صيغة التاريخ غير صحيحة' };
+  }
+
+  if (end && end.isBefore(start)) {
+    return { error: 'تاريخ انتهاء التكرار يجب أن يكون بعد أول موعد' };
+  }
+
+  const dates = [];
+  let current = start;
+
+  while ((!count || dates.length < count) && (!end || !current.isAfter(end))) {
+    dates.push(current.format('YYYY-MM-DD'));
+
+    if (dates.length > maxOccurrences) {
+      return { error: `الحد الأقصى للمواعيد المتكررة هو ${maxOccurrences} مواعيد` };
+    }
+
+    if (current.isAfter(horizon)) {
+      return {
+        error: `موعد السلسلة في ${formatDateArabic(current.format('YYYY-MM-DD'))} يتجاوز فترة الحجز المسبق البالغة ${maxAdvanceDays} يوماً، يرجى تقليل عدد المواعيد`
+      };
+    }
+
+    current = current.add(interval, 'week');
+  }
+
+  return { dates };
+}
+
+/**
+ * Find free times on a date closest to the requested time
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Requested time (HH:MM)
+ * @param {Array<string>} serviceIds - Service IDs of the visit
+ * @param {string|null} [stylistId] - Requested stylist
+ * @param {number} [limit=3] - Maximum alternatives
+ * @returns {Promise<Array<string>>} Times (HH:MM), closest first
+ */
+export async function findAlternatives(tenantId, date, time, serviceIds, stylistId = null, limit = 3) {
+  const validation = validateServices(tenantId, serviceIds);
+  if (!validation.valid) {
+    return [];
+  }
+
+  const { service, services } = validation;
+  const slots = await getAvailableSlots(tenantId, date, service.duration_minutes, {
+    serviceId: service.id,
+    services,
+    stylistId
+  });
+
+  // Minutes from the date's midnight, as suggestSlots ranks times on the requested date
+  const requestedMinutes = timeToMinutes(time);
+  const distance = (slot) => Math.abs(timeToMinutes(slot.time) - requestedMinutes);
+
+  return slots
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, limit)
+    .map(slot => slot.time);
+}
+
+/**
+ * Generate a series ID
+ * Format: SR-{YYYYMMDD}-{seq}, dated by the first occurrence
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - First occurrence (YYYY-MM-DD)
+ * @returns {Promise<string>} Series ID
+ */
+export async function generateSeriesId(tenantId, date) {
+  const dateStr = date.replace(/-/g, '');
+  const sequence = await nextSequence(tenantId, `series-${dateStr}`);
+  return `SR-${dateStr}-${sequence.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Save a series record
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} series - Series fields
+ * @returns {Promise<Object>} Stored series
+ */
+export async function saveSeries(tenantId, series) {
+  const seriesCol = database.getCollection(tenantId, 'series');
+
+  const document = {
+    ...series,
+    tenant_id: tenantId,
+    status: 'active',
+    created_at: getTimestamp(),
+    updated_at: getTimestamp()
+  };
+
+  await seriesCol.insertOne(document);
+  return document;
+}
+
+/**
+ * Get a series record
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object|null>} Series or null
+ */
+export async function getSeries(tenantId, seriesId) {
+  const seriesCol = database.getCollection(tenantId, 'series');
+  return seriesCol.findOne({ tenant_id: tenantId, series_id: seriesId });
+}
+
+/**
+ * Update a series record
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} seriesId - Series ID
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<void>}
+ */
+export async function updateSeries(tenantId, seriesId, fields) {
+  const seriesCol = database.getCollection(tenantId, 'series');
+  await seriesCol.updateOne(
+    { tenant_id: tenantId, series_id: seriesId },
+    { $set: { ...fields, updated_at: getTimestamp() } }
+  );
+}
+
+/**
+ * Get the upcoming active occurrences of a series
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array<Object>>} Confirmed or pending appointments from today on, by date
+ */
+export async function getUpcomingOccurrences(tenantId, seriesId) {
+  const appointmentsCol = database.getCollection(tenantId, 'appointments');
+
+  return appointmentsCol.find({
+    tenant_id: tenantId,
+    series_id: seriesId,
+    status: { $in: UPCOMING_STATUSES },
+    date: { $gte: getCurrentDate(tenantId) }
+  }).sort({ date: 1 }).toArray();
+}
+
+/**
+ * Cancel the occurrences already booked for a series that could not be booked in full
+ * They are released without counting as the customer's cancellations.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<Object>} appointments - Appointments created for the series
+ * @param {Object} [actor] - Who made the booking { channel, api_key_id, staff_id }
+ * @returns {Promise<void>}
+ */
+export async function releaseOccurrences(tenantId, appointments, actor = null) {
+  for (const appointment of appointments) {
+    const result = await transitionAppointment(tenantId, appointment, 'cancelled', {
+      cancellation_reason: 'تعذر حجز جميع مواعيد السلسلة',
+      late_cancellation: false
+    }, actor);
+
+    if (result.error) {
+      console.error(`Series occurrence not released (${appointment.booking_id}):`, result.error);
+      continue;
+    }
+
+    try {
+      await recordCancellation(tenantId, appointment, { countCancellation: false });
+    } catch (error) {
+      console.error('Customer profile update error:', error);
+    }
+
+    try {
+      await promoteWaitlist(tenantId, appointment.date);
+    } catch (error) {
+      console.error('Waitlist promotion error:', error);
+    }
+  }
+}
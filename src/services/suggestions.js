@@ -0,0 +1,140 @@
+/**
+ * Slot Suggestions Service
+ * Ranks free slots around a requested time: nearby times the same day, the same time
+ * on the following days, and times with the customer's usual stylist
+ */
+
+import dayjs from 'dayjs';
+import { loadTenantConfig, getOpenIntervals } from './tenantLoader.js';
+import { getAvailableSlots } from './scheduler.js';
+import { validateDate } from './validator.js';
+import { getCustomer, getPreferredStylistId } from './customerProfiles.js';
+import { timeToMinutes, MINUTES_PER_DAY } from '../utils/dateHelpers.js';
+
+const DEFAULT_SEARCH_DAYS = 7;
+
+// Each day away counts like two hours away, so the same time tomorrow competes with
+// times a few hours off today
+const DAY_DISTANCE_MINUTES = 120;
+
+/**
+ * Suggest free slots closest to a requested date and time
+ * Only dates open for booking (within `advance_booking_days`, not in `blocked_dates`) are searched.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} request - Requested visit
+ * @param {string} request.date - Requested date (YYYY-MM-DD)
+ * @param {string} request.time - Requested time (HH:MM)
+ * @param {Object} request.service - Service (combined service for a multi-service visit)
+ * @param {Array<Object>} request.services - Services in visit order
+ * @param {string} [request.stylistId] - Requested stylist
+ * @param {string} [request.phoneNumber] - Customer phone, to look up their usual stylist
+ * @param {number} [limit=5] - Maximum suggestions
+ * @returns {Promise<Array<{date: string, time: string, stylists: Array<Object>, reason: string}>>}
+ *   Closest first (time of day and days away combined); reason is 'same_day', 'same_time', 'preferred_stylist' or 'other_stylist'
+ */
+export async function suggestSlots(tenantId, request, limit = 5) {
+  const { date, time, service, services, stylistId = null, phoneNumber = null } = request;
+  const config = loadTenantConfig(tenantId);
+  const searchDays = config.settings.suggestion_search_days || DEFAULT_SEARCH_DAYS;
+  const requested = dayjs(`${date} ${time}`, 'YYYY-MM-DD HH:mm');
+  const requestedMinutes = timeToMinutes(time);
+  const nextDate = requested.add(1, 'day').format('YYYY-MM-DD');
+
+  // Minutes after midnight the requested date's own opening hours run into the next date
+  const overnightMinutes = Math.max(0, ...getOpenIntervals(tenantId, date).map(interval => interval.end - MINUTES_PER_DAY));
+
+  const candidates = [];
+
+  // Add the free slots of one date (or only the requested time) and return how many;
+  // `overnight` keeps the next date's slots before the requested date closes, measured on
+  // the requested date's minutes-from-midnight scale as in getOpenIntervals
+  const collect = async (day, stylist, reason, sameTimeOnly, overnight = false) => {
+    if (!validateDate(tenantId, day).valid) {
+      return 0;
+    }
+
+    const slots = await getAvailableSlots(tenantId, day, service.duration_minutes, {
+      serviceId: service.id,
+      services,
+      stylistId: stylist
+    });
+
+    const daysAway = overnight ? 0 : dayjs(day).diff(dayjs(date), 'day');
+    const shift = overnight ? MINUTES_PER_DAY : 0;
+    const matching = slots.filter(slot => {
+      if (sameTimeOnly) {
+        return slot.time === time;
+      }
+      return !overnight || timeToMinutes(slot.time) < overnightMinutes;
+    });
+
+    for (const slot of matching) {
+      candidates.push({
+        date: day,
+        time: slot.time,
+        stylists: slot.stylists || [],
+        reason,
+        distance: daysAway * DAY_DISTANCE_MINUTES + Math.abs(timeToMinutes(slot.time) + shift - requestedMinutes)
+      });
+    }
+
+    return matching.length;
+  };
+
+  // Other times on the requested date, including its night after midnight
+  const collectSameDay = async (stylist, reason) => {
+    await collect(date, stylist, reason, false);
+    if (overnightMinutes > 0) {
+      await collect(nextDate, stylist, reason, false, true);
+    }
+  };
+
+  // The customer's usual stylist goes first so an equally close slot keeps them
+  const preferredStylistId = stylistId ? null : await findPreferredStylist(tenantId, phoneNumber);
+  if (preferredStylistId) {
+    await collectSameDay(preferredStylistId, 'preferred_stylist');
+  }
+
+  await collectSameDay(stylistId, 'same_day');
+
+  // With a specific stylist requested, someone else at the requested time is also an option
+  if (stylistId) {
+    await collect(date, null, 'other_stylist', true);
+  }
+
+  let sameTimeFound = 0;
+  for (let offset = 1; offset <= searchDays && sameTimeFound < limit; offset++) {
+    const day = requested.add(offset, 'day').format('YYYY-MM-DD');
+    sameTimeFound += await collect(day, stylistId, 'same_time', true);
+  }
+
+  // Closest first; the stable sort keeps the earlier (preferred) entry for the same slot
+  const seen = new Set();
+  return candidates
+    .sort((a, b) => a.distance - b.distance)
+    .filter(candidate => {
+      const key = `${candidate.date} ${candidate.time}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ distance, ...suggestion }) => suggestion);
+}
+
+/**
+ * Look up a customer's usual stylist
+ * @param {string} tenantId - Tenant identifier
+ * @param {string|null} phoneNumber - E.164 phone number
+ * @returns {Promise<string|null>} Stylist ID or null
+ */
+async function findPreferredStylist(tenantId, phoneNumber) {
+  if (!phoneNumber) {
+    return null;
+  }
+
+  const customer = await getCustomer(tenantId, phoneNumber);
+  return customer ? getPreferredStylistId(customer) : null;
+}
@@ -0,0 +1,332 @@
+/**
+ * Tenant Admin Service
+ * Onboards tenants and changes their configuration for the admin API
+ *
+ * Every change is validated like a config file, recorded as a new version, written to the
+ * config store and swapped into the tenant cache. Failed results carry an `error` and a
+ * `reason`: 'invalid', 'not_found', 'exists' or 'conflict'.
+ */
+
+import { validateTenantConfig, cacheTenantConfig, clearCache } from './tenantLoader.js';
+import { TENANT_ID_PATTERN } from './tenantSchema.js';
+import { getConfigStore, getLatestVersion, saveVersion, listVersions, getVersion } from './tenantConfigStore.js';
+import { ADMIN_SCOPE } from './apiKeys.js';
+import database from './database.js';
+
+// Collection prefixes the system already uses
+const RESERVED_TENANT_IDS = [ADMIN_SCOPE, 'system'];
+
+// Top-level sections merged field by field; other keys are replaced
+const MERGED_SECTIONS = ['salon_info', 'settings', 'whatsapp'];
+
+/**
+ * List tenants with their status and config version
+ * @returns {Promise<Array<{tenant_id: string, name: string, active: boolean, version: number}>>}
+ */
+export async function listTenants() {
+  const configs = await getConfigStore().list();
+
+  return Promise.all(configs
+    .filter(config => !config.tenant_id.endsWith('-template'))
+    .map(async config => ({
+      tenant_id: config.tenant_id,
+      name: config.salon_info?.name || null,
+      active: config.active !== false,
+      version: await getLatestVersion(config.tenant_id)
+    })));
+}
+
+/**
+ * Get a tenant's current config
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function getTenant(tenantId) {
+  const config = await getConfigStore().read(tenantId);
+  if (!config) {
+    return notFound(tenantId);
+  }
+
+  return { config, version: await getLatestVersion(tenantId) };
+}
+
+/**
+ * Create a tenant
+ * @param {Object} config - Full tenant configuration
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function createTenant(config, changedBy) {
+  const tenantId = config?.tenant_id;
+
+  if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId) || RESERVED_TENANT_IDS.includes(tenantId)) {
+    return { error: 'tenant_id must use lowercase letters, digits and dashes, and not be a reserved name', reason: 'invalid' };
+  }
+
+  const store = getConfigStore();
+  if (await store.read(tenantId)) {
+    return { error: `Tenant already exists: ${tenantId}`, reason: 'exists' };
+  }
+
+  const error = checkConfig(config);
+  if (error) {
+    return { error, reason: 'invalid' };
+  }
+
+  if (!(await saveVersion({ tenant_id: tenantId, version: 1, action: 'create', config, changes: Object.keys(config), changed_by: changedBy }))) {
+    return conflict(tenantId);
+  }
+
+  await store.write(config);
+  cacheTenantConfig(config);
+  await database.createIndexes(tenantId);
+
+  return { config, version: 1 };
+}
+
+/**
+ * Update top-level fields of a tenant's config
+ * `salon_info`, `settings` and `whatsapp` are merged field by field; other keys are replaced.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} changes - Fields to change
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function updateTenant(tenantId, changes, changedBy) {
+  if (!isObject(changes)) {
+    return notAnObject();
+  }
+
+  if (changes.tenant_id && changes.tenant_id !== tenantId) {
+    return { error: 'tenant_id cannot be changed', reason: 'invalid' };
+  }
+
+  return applyChange(tenantId, 'update', changedBy, config => {
+    for (const [key, value] of Object.entries(changes)) {
+      config[key] = MERGED_SECTIONS.includes(key) ? { ...config[key], ...value } : value;
+    }
+    return config;
+  });
+}
+
+/**
+ * Activate or deactivate a tenant
+ * A deactivated tenant keeps its config and data, but its tools stop working.
+ * @param {string} tenantId - Tenant identifier
+ * @param {boolean} active - New status
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function setTenantActive(tenantId, active, changedBy) {
+  return applyChange(tenantId, active ? 'activate' : 'deactivate', changedBy, config => ({ ...config, active }));
+}
+
+/**
+ * Create a service, or update the fields of an existing one
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} serviceId - Service ID
+ * @param {Object} fields - Service fields
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function saveService(tenantId, serviceId, fields, changedBy) {
+  if (!isObject(fields)) {
+    return notAnObject();
+  }
+
+  return applyChange(tenantId, 'service', changedBy, config => {
+    const index = config.services.findIndex(s => s.id === serviceId);
+
+    if (index === -1) {
+      config.services.push({ id: serviceId, active: true, ...fields });
+    } else {
+      config.services[index] = { ...config.services[index], ...fields, id: serviceId };
+    }
+
+    return config;
+  });
+}
+
+/**
+ * Deactivate a service (kept in the config so existing bookings still resolve its name)
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} serviceId - Service ID
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function deactivateService(tenantId, serviceId, changedBy) {
+  return applyChange(tenantId, 'service', changedBy, config => {
+    const service = config.services.find(s => s.id === serviceId);
+
+    if (!service) {
+      return { error: `Service not found: ${serviceId}`, reason: 'not_found' };
+    }
+
+    service.active = false;
+    return config;
+  });
+}
+
+/**
+ * Replace the weekly hours of some days
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} workingHours - Day name to day entry; days left out keep their hours
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function setWorkingHours(tenantId, workingHours, changedBy) {
+  if (!isObject(workingHours)) {
+    return notAnObject();
+  }
+
+  return applyChange(tenantId, 'working_hours', changedBy, config => ({
+    ...config,
+    working_hours: { ...config.working_hours, ...workingHours }
+  }));
+}
+
+/**
+ * List a tenant's config versions, newest first
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<{versions?: Array<Object>, error?: string, reason?: string}>}
+ */
+export async function getTenantVersions(tenantId) {
+  const versions = await listVersions(tenantId);
+
+  if (versions.length === 0 && !(await getConfigStore().read(tenantId))) {
+    return notFound(tenantId);
+  }
+
+  return { versions };
+}
+
+/**
+ * Get one config version with its full config
+ * @param {string} tenantId - Tenant identifier
+ * @param {number} version - Version number
+ * @returns {Promise<{version?: Object, error?: string, reason?: string}>}
+ */
+export async function getTenantVersion(tenantId, version) {
+  const doc = await getVersion(tenantId, version);
+  return doc ? { version: doc } : { error: `Version not found: ${tenantId} v${version}`, reason: 'not_found' };
+}
+
+/**
+ * Restore the config of an earlier version (recorded as a new version)
+ * @param {string} tenantId - Tenant identifier
+ * @param {number} version - Version number to restore
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+export async function restoreTenantVersion(tenantId, version, changedBy) {
+  const doc = await getVersion(tenantId, version);
+  if (!doc) {
+    return { error: `Version not found: ${tenantId} v${version}`, reason: 'not_found' };
+  }
+
+  return applyChange(tenantId, `restore:${version}`, changedBy, () => structuredClone(doc.config));
+}
+
+/**
+ * Apply a change to a stored config
+ * A config that predates the admin API is first recorded as version 1 ('import'),
+ * so the history always holds the state before each change.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} action - Change label stored with the version
+ * @param {string|null} changedBy - Key ID of the admin making the change
+ * @param {Function} mutate - Receives a copy of the config, returns the new config or { error, reason }
+ * @returns {Promise<{config?: Object, version?: number, error?: string, reason?: string}>}
+ */
+async function applyChange(tenantId, action, changedBy, mutate) {
+  const store = getConfigStore();
+  const current = await store.read(tenantId);
+
+  if (!current) {
+    return notFound(tenantId);
+  }
+
+  let latest = await getLatestVersion(tenantId);
+
+  if (latest === 0) {
+    if (!(await saveVersion({ tenant_id: tenantId, version: 1, action: 'import', config: current, changes: [], changed_by: null }))) {
+      return conflict(tenantId);
+    }
+    latest = 1;
+  }
+
+  const next = mutate(structuredClone(current));
+  if (next.error) {
+    return next;
+  }
+
+  const error = checkConfig(next);
+  if (error) {
+    return { error, reason: 'invalid' };
+  }
+
+  const changes = Object.keys({ ...current, ...next })
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(next[key]));
+
+  if (changes.length === 0) {
+    return { config: current, version: latest };
+  }
+
+  if (!(await saveVersion({ tenant_id: tenantId, version: latest + 1, action, config: next, changes, changed_by: changedBy }))) {
+    return conflict(tenantId);
+  }
+
+  await store.write(next);
+  clearCache(tenantId);
+  cacheTenantConfig(next);
+
+  return { config: next, version: latest + 1 };
+}
+
+/**
+ * Validate a config the way config files are validated
+ * @param {Object} config - Tenant configuration object
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkConfig(config) {
+  try {
+    validateTenantConfig(config, config.tenant_id);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build the result for a request body that is not an object
+ * @returns {{error: string, reason: string}}
+ */
+function notAnObject() {
+  return { error: 'Request body must be a JSON object', reason: 'invalid' };
+}
+
+/**
+ * Build the result for an unknown tenant
+ * @param {string} tenantId - Tenant identifier
+ * @returns {{error: string, reason: string}}
+ */
+function notFound(tenantId) {
+  return { error: `Tenant not found: ${tenantId}`, reason: 'not_found' };
+}
+
+/**
+ * Build the result for a change that lost a race with another change
+ * @param {string} tenantId - Tenant identifier
+ * @returns {{error: string, reason: string}}
+ */
+function conflict(tenantId) {
+  return { error: `The config of ${tenantId} was changed at the same time, please retry`, reason: 'conflict' };
+}
@@ -0,0 +1,211 @@
+/**
+ * Tenant Config Store
+ * Persists tenant configurations changed through the admin API and keeps their version history
+ *
+ * A store is any object with `async read(tenantId)`, `async write(config)` and `async list()`.
+ * The file store (default) writes `tenants/{tenant_id}.json`; the MongoDB store keeps configs
+ * in `system_tenant_configs`, so every instance shares them. Either way, each change is
+ * recorded in `system_tenant_config_versions`.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { cacheTenantConfig, clearCache } from './tenantLoader.js';
+import { TENANT_ID_PATTERN } from './tenantSchema.js';
+import { getTimestamp } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const TENANTS_DIR = join(__dirname, '../../tenants');
+
+/**
+ * File store - one JSON file per tenant in the tenants directory
+ */
+export class FileConfigStore {
+  async read(tenantId) {
+    // Only plain tenant IDs, so a request cannot read files outside the tenants directory
+    if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+      return null;
+    }
+
+    const configPath = join(TENANTS_DIR, `${tenantId}.json`);
+    return existsSync(configPath) ? JSON.parse(readFileSync(configPath, 'utf-8')) : null;
+  }
+
+  async write(config) {
+    writeFileSync(join(TENANTS_DIR, `${config.tenant_id}.json`), `${JSON.stringify(config, null, 2)}\n`);
+  }
+
+  async list() {
+    return readdirSync(TENANTS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(readFileSync(join(TENANTS_DIR, file), 'utf-8')));
+  }
+
+  /**
+   * Reload configs from the files on their next use
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    clearCache();
+  }
+}
+
+/**
+ * MongoDB store - shared across instances, falls back to the files for tenants it does not hold
+ */
+export class MongoConfigStore {
+  async read(tenantId) {
+    const doc = await database.getCollection('system', 'tenant_configs').findOne({ tenant_id: tenantId });
+    return doc ? doc.config : new FileConfigStore().read(tenantId);
+  }
+
+  async write(config) {
+    await database.getCollection('system', 'tenant_configs').updateOne(
+      { tenant_id: config.tenant_id },
+      { $set: { config, updated_at: getTimestamp() } },
+      { upsert: true }
+    );
+  }
+
+  async list() {
+    const docs = await database.getCollection('system', 'tenant_configs').find({}).toArray();
+    const stored = docs.map(doc => doc.config);
+    const storedIds = new Set(stored.map(config => config.tenant_id));
+    const files = await new FileConfigStore().list();
+
+    return [...stored, ...files.filter(config => !storedIds.has(config.tenant_id))];
+  }
+
+  /**
+   * Put every stored config in the tenant cache (files are read on demand)
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const docs = await database.getCollection('system', 'tenant_configs').find({}).toArray();
+
+    clearCache();
+    for (const doc of docs) {
+      try {
+        cacheTenantConfig(doc.config);
+      } catch (error) {
+        console.error(`Stored config for ${doc.tenant_id} skipped:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Create the store selected by TENANT_CONFIG_STORE
+ * @returns {FileConfigStore|MongoConfigStore} Store
+ */
+export function createConfigStore() {
+  const backend = process.env.TENANT_CONFIG_STORE || 'file';
+
+  switch (backend) {
+    case 'file':
+      return new FileConfigStore();
+
+    case 'mongo':
+      return new MongoConfigStore();
+
+    default:
+      throw new Error(`Unknown tenant config store: ${backend}`);
+  }
+}
+
+let store = null;
+
+/**
+ * Get the config store, creating it on first use
+ * @returns {Object} Store
+ */
+export function getConfigStore() {
+  if (!store) {
+    store = createConfigStore();
+  }
+
+  return store;
+}
+
+/**
+ * Replace the config store
+ * @param {Object} customStore - Store
+ */
+export function setConfigStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Reload tenant configs from the store
+ * Called at startup and periodically, so changes made by another instance are picked up.
+ * @returns {Promise<void>}
+ */
+export async function refreshTenantConfigs() {
+  await getConfigStore().refresh();
+}
+
+/**
+ * Get the latest version number of a tenant's config
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<number>} Version (0 when the config was never changed through the API)
+ */
+export async function getLatestVersion(tenantId) {
+  const versionsCol = database.getCollection('system', 'tenant_config_versions');
+  const [latest] = await versionsCol.find({ tenant_id: tenantId }).sort({ version: -1 }).limit(1).toArray();
+  return latest ? latest.version : 0;
+}
+
+/**
+ * Record a config version
+ * Version numbers are unique per tenant, so of two concurrent changes only one gets a number.
+ * @param {Object} version - { tenant_id, version, action, config, changes, changed_by }
+ * @returns {Promise<boolean>} False if the version number was already taken
+ */
+export async function saveVersion(version) {
+  const versionsCol = database.getCollection('system', 'tenant_config_versions');
+  await versionsCol.createIndex({ tenant_id: 1, version: 1 }, { unique: true });
+
+  try {
+    await versionsCol.insertOne({ ...version, changed_at: getTimestamp() });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * List a tenant's config versions, newest first (configs left out)
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<Array<Object>>} Versions { version, action, changes, changed_by, changed_at }
+ */
+export async function listVersions(tenantId) {
+  const versionsCol = database.getCollection('system', 'tenant_config_versions');
+  const versions = await versionsCol.find({ tenant_id: tenantId }).sort({ version: -1 }).toArray();
+
+  return versions.map(({ _id, config, ...version }) => version);
+}
+
+/**
+ * Get one config version with its full config
+ * @param {string} tenantId - Tenant identifier
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version or null
+ */
+export async function getVersion(tenantId, version) {
+  const versionsCol = database.getCollection('system', 'tenant_config_versions');
+  const doc = await versionsCol.findOne({ tenant_id: tenantId, version });
+
+  if (!doc) {
+    return null;
+  }
+
+  const { _id, ...rest } = doc;
+  return rest;
+}
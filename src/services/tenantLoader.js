@@ -1,30 +1,72 @@
 /**
  * Tenant Configuration Loader
- * Loads and validates tenant configuration files
+ * Loads and validates tenant configuration files and the holiday calendars they reference
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import dayjs from 'dayjs';
+import { getTenantConfigErrors, TENANT_ID_PATTERN } from './tenantSchema.js';
+import { timeToMinutes, MINUTES_PER_DAY } from '../utils/dateHelpers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSED = { start: '00:00', end: '00:00', enabled: false, intervals: [] };
+
 // Cache for loaded tenant configs
 const tenantCache = new Map();
 
+// Cache for loaded holiday calendars
+const calendarCache = new Map();
+
 /**
  * Load tenant configuration from JSON file
+ * Configs stored in MongoDB are put in the cache by tenantConfigStore at startup.
  * @param {string} tenantId - Tenant identifier (e.g., 'salon-farah')
  * @returns {Object} Tenant configuration object
- * @throws {Error} If tenant config not found or invalid
+ * @throws {Error} If tenant config not found, invalid or deactivated
  */
 export function loadTenantConfig(tenantId) {
+  const config = readTenantConfig(tenantId);
+
+  if (config.active === false) {
+    throw new Error(`Tenant is deactivated: ${tenantId}`);
+  }
+
+  return config;
+}
+
+/**
+ * Put a tenant configuration in the cache, replacing the file version
+ * @param {Object} config - Tenant configuration object
+ * @throws {Error} If the config is invalid
+ */
+export function cacheTenantConfig(config) {
+  validateTenantConfig(config, config.tenant_id);
+  tenantCache.set(config.tenant_id, config);
+}
+
+/**
+ * Read a tenant configuration, active or not
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Tenant configuration object
+ * @throws {Error} If tenant config not found or invalid
+ */
+function readTenantConfig(tenantId) {
   // Check cache first
   if (tenantCache.has(tenantId)) {
     return tenantCache.get(tenantId);
   }
 
+  // Only plain tenant IDs, so a request cannot read files outside the tenants directory
+  if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+    throw new Error(`Tenant configuration not found: ${tenantId}`);
+  }
+
   try {
     const configPath = join(__dirname, '../../tenants', `${tenantId}.json`);
     const configData = readFileSync(configPath, 'utf-8');
@@ -45,13 +87,103 @@ export function loadTenantConfig(tenantId) {
   }
 }
 
+/**
+ * Load a holiday calendar from the calendars directory
+ * A calendar lists public `holidays` (closed all day) and named `periods` such as Ramadan
+ * that tenants can attach working-hour overrides to. Entries cover one `date` or a
+ * `start`-`end` range (inclusive); a period ID may repeat, once per year.
+ * @param {string} calendarId - Calendar identifier (e.g., 'kw-public-holidays')
+ * @returns {Object} Calendar object { calendar_id, name, holidays, periods }
+ * @throws {Error} If calendar not found or invalid
+ */
+export function loadHolidayCalendar(calendarId) {
+  if (calendarCache.has(calendarId)) {
+    return calendarCache.get(calendarId);
+  }
+
+  // Calendar IDs follow the tenant ID format, so they cannot read files outside the calendars directory
+  if (typeof calendarId !== 'string' || !TENANT_ID_PATTERN.test(calendarId)) {
+    throw new Error(`Holiday calendar not found: ${calendarId}`);
+  }
+
+  try {
+    const calendarPath = join(__dirname, '../../calendars', `${calendarId}.json`);
+    const calendar = JSON.parse(readFileSync(calendarPath, 'utf-8'));
+
+    if (calendar.calendar_id !== calendarId) {
+      throw new Error(`calendar_id mismatch: got ${calendar.calendar_id}`);
+    }
+
+    calendar.holidays = calendar.holidays || [];
+    calendar.periods = calendar.periods || [];
+
+    for (const entry of [...calendar.holidays, ...calendar.periods]) {
+      validateDateEntry(entry, entry.name || entry.id);
+    }
+
+    for (const period of calendar.periods) {
+      if (!period.id) {
+        throw new Error('every period needs an id');
+      }
+    }
+
+    calendarCache.set(calendarId, calendar);
+    return calendar;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Holiday calendar not found: ${calendarId}`);
+    }
+    throw new Error(`Failed to load holiday calendar ${calendarId}: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a calendar or override entry has a valid date or date range
+ * @param {Object} entry - Entry with `date` or `start`/`end`
+ * @param {string} label - Entry name for the error message
+ * @throws {Error} If the dates are missing or malformed
+ */
+function validateDateEntry(entry, label) {
+  const start = entry.date || entry.start;
+  const end = entry.date || entry.end;
+
+  if (!DATE_PATTERN.test(start || '') || !DATE_PATTERN.test(end || '') || end < start) {
+    throw new Error(`${label || 'entry'} needs a date or a start/end range (YYYY-MM-DD)`);
+  }
+}
+
+/**
+ * Check whether a date falls inside an entry's date or range
+ * @param {Object} entry - Entry with `date` or `start`/`end`
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} True if covered
+ */
+function coversDate(entry, date) {
+  return date >= (entry.date || entry.start) && date <= (entry.date || entry.end);
+}
+
+/**
+ * List active tenant IDs from the tenants directory (template files excluded)
+ * and from configs cached out of MongoDB
+ * @returns {Array<string>} Tenant identifiers
+ */
+export function listTenantIds() {
+  const tenantsDir = join(__dirname, '../../tenants');
+  const fileIds = readdirSync(tenantsDir)
+    .filter(file => file.endsWith('.json') && !file.endsWith('-template.json'))
+    .map(file => file.replace(/\.json$/, ''));
+
+  return [...new Set([...fileIds, ...tenantCache.keys()])]
+    .filter(tenantId => !tenantId.endsWith('-template') && readTenantConfig(tenantId).active !== false);
+}
+
 /**
  * Validate tenant configuration structure
  * @param {Object} config - Tenant configuration object
  * @param {string} tenantId - Tenant identifier
  * @throws {Error} If validation fails
  */
-function validateTenantConfig(config, tenantId) {
+export function validateTenantConfig(config, tenantId) {
   const required = ['tenant_id', 'salon_info', 'working_hours', 'services', 'settings'];
 
   for (const field of required) {
@@ -64,11 +196,116 @@ function validateTenantConfig(config, tenantId) {
     throw new Error(`Tenant ID mismatch: expected ${tenantId}, got ${config.tenant_id}`);
   }
 
-  if (!Array.isArray(config.services) || config.services.length === 0) {
-    throw new Error(`Invalid tenant config for ${tenantId}: services must be a non-empty array`);
+  const schemaErrors = getTenantConfigErrors(config);
+  if (schemaErrors.length > 0) {
+    throw new Error(`Invalid tenant config for ${tenantId}: ${schemaErrors.join('; ')}`);
+  }
+
+  // Referenced calendars must load, and overrides must name a known period or a date range
+  const periodIds = new Set((config.holiday_calendars || [])
+    .flatMap(calendarId => loadHolidayCalendar(calendarId).periods.map(p => p.id)));
+
+  for (const override of config.working_hours_overrides || []) {
+    if (override.period) {
+      if (!periodIds.has(override.period)) {
+        throw new Error(`Invalid tenant config for ${tenantId}: working hours override uses unknown period ${override.period}`);
+      }
+    } else {
+      validateDateEntry(override, `Invalid tenant config for ${tenantId}: working hours override ${override.name || ''}`.trim());
+    }
+
+    if (!override.working_hours) {
+      throw new Error(`Invalid tenant config for ${tenantId}: working hours override ${override.name || override.period} has no working_hours`);
+    }
+  }
+
+  // Every schedule (weekly, overrides, stylists) must have well-formed intervals
+  const schedules = [
+    ['working_hours', config.working_hours],
+    ...(config.working_hours_overrides || []).map(o => [`override ${o.name || o.period}`, o.working_hours]),
+    ...(config.stylists || []).map(s => [`stylist ${s.id}`, s.working_hours || {}])
+  ];
+
+  for (const [label, schedule] of schedules) {
+    for (const [dayName, hours] of Object.entries(schedule)) {
+      validateDayHours(hours, `Invalid tenant config for ${tenantId}: ${label} ${dayName}`);
+    }
+  }
+
+  const resourceIds = new Set((config.resources || []).map(r => r.id));
+
+  for (const service of config.services) {
+    const gap = getProcessingGap(service);
+
+    if (gap && (gap.start < 0 || gap.start + gap.minutes >= service.duration_minutes)) {
+      throw new Error(`Invalid tenant config for ${tenantId}: processing_gap of ${service.id} must end before the service does`);
+    }
+
+    for (const resourceId of service.resource_ids || []) {
+      if (!resourceIds.has(resourceId)) {
+        throw new Error(`Invalid tenant config for ${tenantId}: ${service.id} uses undeclared resource ${resourceId}`);
+      }
+    }
   }
 }
 
+/**
+ * Check one day of a schedule
+ * Intervals must be in order without overlapping; only the last may end after midnight
+ * (an end at or before its start).
+ * @param {Object} hours - Day entry { start, end, enabled } or { intervals, enabled }
+ * @param {string} label - Prefix for the error message
+ * @throws {Error} If the hours are malformed
+ */
+function validateDayHours(hours, label) {
+  if (!hours.enabled) {
+    return;
+  }
+
+  const intervals = normalizeDayHours(hours).intervals;
+  let previousEnd = 0;
+
+  if (intervals.length === 0) {
+    throw new Error(`${label} is enabled without hours`);
+  }
+
+  intervals.forEach((interval, index) => {
+    if (!TIME_PATTERN.test(interval.start || '') || !TIME_PATTERN.test(interval.end || '')) {
+      throw new Error(`${label} needs start and end times (HH:mm)`);
+    }
+
+    const start = timeToMinutes(interval.start);
+    const overnight = timeToMinutes(interval.end) <= start;
+
+    if (start < previousEnd || (overnight && index < intervals.length - 1)) {
+      throw new Error(`${label} intervals must be in order without overlapping, and only the last may end after midnight`);
+    }
+
+    previousEnd = timeToMinutes(interval.end);
+  });
+}
+
+/**
+ * Give a day entry its `intervals`
+ * A plain { start, end } entry becomes one interval; `start`/`end` of an entry with
+ * intervals are filled in from the first and last interval.
+ * @param {Object} hours - Day entry
+ * @returns {Object} Day entry { start, end, enabled, intervals }
+ */
+function normalizeDayHours(hours) {
+  if (!hours.enabled) {
+    return { ...hours, intervals: [] };
+  }
+
+  const intervals = hours.intervals || [{ start: hours.start, end: hours.end }];
+  return {
+    ...hours,
+    start: intervals[0]?.start,
+    end: intervals[intervals.length - 1]?.end,
+    intervals
+  };
+}
+
 /**
  * Get service details by service ID
  * @param {string} tenantId - Tenant identifier
@@ -81,29 +318,199 @@ export function getService(tenantId, serviceId) {
 }
 
 /**
- * Get working hours for a specific day
+ * Get the processing gap of a service (stylist free while e.g. colour develops)
+ * The gap starts `processing_starts_after` minutes into the service, or sits in the middle by default.
+ * @param {Object} service - Service object
+ * @returns {{start: number, minutes: number}|null} Gap offset and length in minutes, or null
+ */
+export function getProcessingGap(service) {
+  const minutes = service.processing_gap || 0;
+  if (minutes <= 0) {
+    return null;
+  }
+
+  return {
+    start: service.processing_starts_after ?? Math.floor((service.duration_minutes - minutes) / 2),
+    minutes
+  };
+}
+
+/**
+ * Get a shared resource (room, bed, chair) by ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} resourceId - Resource ID
+ * @returns {Object|null} Resource object { id, name, capacity } or null if not declared
+ */
+export function getResource(tenantId, resourceId) {
+  const config = loadTenantConfig(tenantId);
+  return (config.resources || []).find(r => r.id === resourceId) || null;
+}
+
+/**
+ * Get the effective working hours for a date
+ * Holidays from the tenant's calendars close the salon; otherwise the first matching
+ * `working_hours_overrides` entry (e.g. Ramadan) replaces the weekly hours for the days it lists.
+ * A day may have several `intervals` (split shifts); an interval whose end is at or before its
+ * start runs past midnight into the next date.
  * @param {string} tenantId - Tenant identifier
- * @param {string} dayName - Day name (lowercase, e.g., 'sunday')
- * @returns {Object} Working hours object { start, end, enabled }
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object} Working hours object { start, end, enabled, intervals }
  */
-export function getWorkingHours(tenantId, dayName) {
+export function getWorkingHours(tenantId, date) {
   const config = loadTenantConfig(tenantId);
-  return config.working_hours[dayName] || { start: '00:00', end: '00:00', enabled: false };
+  const dayName = dayjs(date).format('dddd').toLowerCase();
+
+  if (getHoliday(tenantId, date)) {
+    return CLOSED;
+  }
+
+  const override = getWorkingHoursOverride(tenantId, date);
+  return normalizeDayHours(override?.working_hours[dayName] || config.working_hours[dayName] || CLOSED);
+}
+
+/**
+ * Get the opening intervals that apply to a date, in minutes from its midnight
+ * Includes the part after midnight of the previous date's overnight interval (start below 0
+ * is cut to 0); an overnight interval of the date itself ends after 1440.
+ * With a stylist, their own hours and days off are used instead of the salon's.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} [stylist] - Stylist object
+ * @returns {Array<{start: number, end: number}>} Intervals in order
+ */
+export function getOpenIntervals(tenantId, date, stylist = null) {
+  const previous = dayjs(date).subtract(1, 'day').format('YYYY-MM-DD');
+
+  const toMinutes = (day, shift) => {
+    if (stylist && isStylistOff(stylist, day, dayjs(day).format('dddd').toLowerCase())) {
+      return [];
+    }
+
+    const hours = stylist ? getStylistWorkingHours(tenantId, stylist, day) : getWorkingHours(tenantId, day);
+    return hours.intervals.map(interval => {
+      const start = timeToMinutes(interval.start);
+      let end = timeToMinutes(interval.end);
+
+      if (end <= start) {
+        end += MINUTES_PER_DAY;
+      }
+
+      return { start: start + shift, end: end + shift };
+    });
+  };
+
+  const carriedOver = toMinutes(previous, -MINUTES_PER_DAY)
+    .filter(interval => interval.end > 0)
+    .map(interval => ({ start: Math.max(0, interval.start), end: interval.end }));
+
+  return [...carriedOver, ...toMinutes(date, 0)];
+}
+
+/**
+ * Get the public holiday on a date from the tenant's holiday calendars
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object|null} Holiday { name, name_ar, ... } or null
+ */
+export function getHoliday(tenantId, date) {
+  const config = loadTenantConfig(tenantId);
+
+  for (const calendarId of config.holiday_calendars || []) {
+    const holiday = loadHolidayCalendar(calendarId).holidays.find(h => coversDate(h, date));
+    if (holiday) {
+      return holiday;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the working hours override in force on a date
+ * An override covers a `start`-`end` range or every range of a calendar `period`.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object|null} First matching override or null
+ */
+export function getWorkingHoursOverride(tenantId, date) {
+  const config = loadTenantConfig(tenantId);
+  const periods = (config.holiday_calendars || [])
+    .flatMap(calendarId => loadHolidayCalendar(calendarId).periods)
+    .filter(period => coversDate(period, date));
+
+  return (config.working_hours_overrides || []).find(override =>
+    override.period
+      ? periods.some(period => period.id === override.period)
+      : coversDate(override, date)
+  ) || null;
+}
+
+/**
+ * Get active stylists for a tenant
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Array<Object>} Stylist objects (empty if the tenant has no roster)
+ */
+export function getStylists(tenantId) {
+  const config = loadTenantConfig(tenantId);
+  return (config.stylists || []).filter(s => s.active !== false);
+}
+
+/**
+ * Get stylist details by stylist ID
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} stylistId - Stylist ID
+ * @returns {Object|null} Stylist object or null if not found
+ */
+export function getStylist(tenantId, stylistId) {
+  return getStylists(tenantId).find(s => s.id === stylistId) || null;
+}
+
+/**
+ * Get working hours for a stylist on a date
+ * Falls back to the salon's working hours when the stylist has no own schedule.
+ * On holidays and override dates (e.g. Ramadan) everyone follows the salon's hours.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} stylist - Stylist object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Object} Working hours object { start, end, enabled, intervals }
+ */
+export function getStylistWorkingHours(tenantId, stylist, date) {
+  const dayName = dayjs(date).format('dddd').toLowerCase();
+
+  if (!stylist.working_hours?.[dayName] || getHoliday(tenantId, date) || getWorkingHoursOverride(tenantId, date)) {
+    return getWorkingHours(tenantId, date);
+  }
+
+  return normalizeDayHours(stylist.working_hours[dayName]);
+}
+
+/**
+ * Check if a stylist is off on a date
+ * `days_off` accepts weekday names ('friday') and specific dates (YYYY-MM-DD)
+ * @param {Object} stylist - Stylist object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} dayName - Day name (lowercase)
+ * @returns {boolean} True if the stylist is off
+ */
+export function isStylistOff(stylist, date, dayName) {
+  const daysOff = stylist.days_off || [];
+  return daysOff.includes(date) || daysOff.includes(dayName);
 }
 
 /**
- * Check if a date is blocked for a tenant
+ * Check if a date is blocked for a tenant (listed in `blocked_dates` or a holiday)
  * @param {string} tenantId - Tenant identifier
  * @param {string} date - Date string (YYYY-MM-DD)
  * @returns {boolean} True if date is blocked
  */
 export function isDateBlocked(tenantId, date) {
   const config = loadTenantConfig(tenantId);
-  return config.blocked_dates?.includes(date) || false;
+  return config.blocked_dates?.includes(date) || Boolean(getHoliday(tenantId, date));
 }
 
 /**
  * Clear tenant cache (useful for testing or config updates)
+ * Clearing everything also reloads holiday calendars.
  * @param {string} [tenantId] - Optional specific tenant to clear, or clear all if not provided
  */
 export function clearCache(tenantId = null) {
@@ -111,5 +518,6 @@ export function clearCache(tenantId = null) {
     tenantCache.delete(tenantId);
   } else {
     tenantCache.clear();
+    calendarCache.clear();
   }
 }
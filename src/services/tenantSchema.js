@@ -0,0 +1,340 @@
+/**
+ * Tenant Config Schema
+ * Field-by-field checks of a tenant configuration: types, ranges, unique IDs and references
+ *
+ * Working hour intervals, calendars, overrides and processing gaps are checked by
+ * tenantLoader.validateTenantConfig, which runs these checks first.
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+export const TENANT_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// Known settings; other keys are allowed and left alone
+const SETTINGS_RULES = {
+  slot_duration_minutes: { type: 'integer', min: 5 },
+  number_of_stylists: { type: 'integer', min: 1 },
+  max_concurrent_bookings: { type: 'integer', min: 1 },
+  max_daily_bookings: { type: 'integer', min: 1 },
+  advance_booking_days: { type: 'integer', min: 1 },
+  cancellation_hours_notice: { type: 'integer', min: 0 },
+  reschedule_hours_notice: { type: 'integer', min: 0 },
+  max_reschedules_per_booking: { type: 'integer', min: 0 },
+  reschedule_later_counts_as_cancellation: { type: 'boolean' },
+  min_booking_notice_minutes: { type: 'integer', min: 0 },
+  max_active_bookings_per_phone: { type: 'integer', min: 1 },
+  max_bookings_per_phone_per_hour: { type: 'integer', min: 1 },
+  waitlist_hold_minutes: { type: 'integer', min: 1 },
+  max_series_occurrences: { type: 'integer', min: 2 },
+  suggestion_search_days: { type: 'integer', min: 0 },
+  late_cancellation_hours: { type: 'number', min: 0 },
+  no_show_limit: { type: 'integer', min: 1 },
+  no_show_window_days: { type: 'integer', min: 1 },
+  no_show_action: { type: 'string', values: ['deposit', 'block'] },
+  no_show_penalty_days: { type: 'integer', min: 1 },
+  no_show_deposit_percentage: { type: 'number', min: 1, max: 100 },
+  deposit_percentage: { type: 'number', min: 0, max: 100 },
+  deposit_expiry_minutes: { type: 'integer', min: 1 },
+  allow_same_day_booking: { type: 'boolean' },
+  require_deposit: { type: 'boolean' },
+  default_language: { type: 'string', values: ['ar', 'en'] },
+  timezone: { type: 'timezone' },
+  phone_default_region: { type: 'string', pattern: COUNTRY_PATTERN },
+  allowed_phone_countries: { type: 'array', items: { type: 'string', pattern: COUNTRY_PATTERN } }
+};
+
+const SERVICE_RULES = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  name_en: { type: 'string' },
+  description: { type: 'string' },
+  duration_minutes: { type: 'integer', min: 5, required: true },
+  price: { type: 'number', min: 0, required: true },
+  currency: { type: 'string', pattern: CURRENCY_PATTERN },
+  active: { type: 'boolean' },
+  max_daily_bookings: { type: 'integer', min: 1 },
+  buffer_before: { type: 'integer', min: 0 },
+  buffer_after: { type: 'integer', min: 0 },
+  processing_gap: { type: 'integer', min: 0 },
+  processing_starts_after: { type: 'integer', min: 0 },
+  resource_ids: { type: 'array', items: { type: 'string' } }
+};
+
+const STYLIST_RULES = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  name_en: { type: 'string' },
+  active: { type: 'boolean' },
+  service_ids: { type: 'array', items: { type: 'string' } },
+  days_off: { type: 'array', items: { type: 'day' } },
+  working_hours: { type: 'object' }
+};
+
+const RESOURCE_RULES = {
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  name_en: { type: 'string' },
+  capacity: { type: 'integer', min: 1 }
+};
+
+const SALON_INFO_RULES = {
+  name: { type: 'string', required: true },
+  name_en: { type: 'string' },
+  phone: { type: 'string' },
+  location: { type: 'string' },
+  instagram: { type: 'string' }
+};
+
+const WHATSAPP_RULES = {
+  enabled: { type: 'boolean' },
+  send_confirmations: { type: 'boolean' },
+  send_reminders: { type: 'boolean' },
+  reminder_hours_before: { type: 'number', min: 0 },
+  templates: { type: 'object' }
+};
+
+/**
+ * List everything wrong with a tenant configuration
+ * @param {Object} config - Tenant configuration object
+ * @returns {Array<string>} Error messages with the path of each field (empty when valid)
+ */
+export function getTenantConfigErrors(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return ['config must be an object'];
+  }
+
+  if (typeof config.tenant_id !== 'string' || !TENANT_ID_PATTERN.test(config.tenant_id)) {
+    errors.push('tenant_id must use lowercase letters, digits and dashes');
+  }
+
+  checkValue(errors, 'active', config.active, { type: 'boolean' });
+  checkFields(errors, 'salon_info', config.salon_info, SALON_INFO_RULES, true);
+  checkFields(errors, 'settings', config.settings, SETTINGS_RULES, true);
+
+  // Cancelling needs `cancellation_hours_notice` (default 24), so a late cancellation window
+  // no longer than that could never be reached
+  const settings = isObject(config.settings) ? config.settings : {};
+  if (settings.late_cancellation_hours > 0 &&
+      settings.late_cancellation_hours <= (settings.cancellation_hours_notice || 24)) {
+    errors.push('settings.late_cancellation_hours must be greater than settings.cancellation_hours_notice');
+  }
+  checkFields(errors, 'whatsapp', config.whatsapp, WHATSAPP_RULES);
+  checkValue(errors, 'blocked_dates', config.blocked_dates, { type: 'array', items: { type: 'date' } });
+  checkValue(errors, 'holiday_calendars', config.holiday_calendars, {
+    type: 'array',
+    items: { type: 'string', pattern: TENANT_ID_PATTERN }
+  });
+  checkWorkingHours(errors, 'working_hours', config.working_hours, true);
+
+  const serviceIds = checkList(errors, 'services', config.services, SERVICE_RULES, true);
+  const resourceIds = checkList(errors, 'resources', config.resources, RESOURCE_RULES);
+  checkList(errors, 'stylists', config.stylists, STYLIST_RULES);
+
+  (config.stylists || []).forEach((stylist, index) => {
+    for (const serviceId of stylist?.service_ids || []) {
+      if (!serviceIds.has(serviceId)) {
+        errors.push(`stylists[${index}].service_ids references unknown service ${serviceId}`);
+      }
+    }
+
+    checkWorkingHours(errors, `stylists[${index}].working_hours`, stylist?.working_hours);
+  });
+
+  (config.services || []).forEach((service, index) => {
+    for (const resourceId of service?.resource_ids || []) {
+      if (!resourceIds.has(resourceId)) {
+        errors.push(`services[${index}].resource_ids references unknown resource ${resourceId}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check an array of objects with IDs
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} path - Field path
+ * @param {Array<Object>|undefined} list - Entries
+ * @param {Object} rules - Rules per entry field
+ * @param {boolean} [required=false] - Whether the list must be present and non-empty
+ * @returns {Set<string>} IDs seen
+ */
+function checkList(errors, path, list, rules, required = false) {
+  const ids = new Set();
+
+  if (list === undefined && !required) {
+    return ids;
+  }
+
+  if (!Array.isArray(list) || (required && list.length === 0)) {
+    errors.push(`${path} must be ${required ? 'a non-empty' : 'an'} array`);
+    return ids;
+  }
+
+  list.forEach((entry, index) => {
+    checkFields(errors, `${path}[${index}]`, entry, rules, true);
+
+    if (ids.has(entry?.id)) {
+      errors.push(`${path}[${index}].id ${entry.id} is used more than once`);
+    }
+
+    ids.add(entry?.id);
+  });
+
+  return ids;
+}
+
+/**
+ * Check an object's fields against rules
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} path - Field path
+ * @param {Object|undefined} value - Object to check
+ * @param {Object} rules - Rules per field
+ * @param {boolean} [required=false] - Whether the object must be present
+ */
+function checkFields(errors, path, value, rules, required = false) {
+  if (value === undefined && !required) {
+    return;
+  }
+
+  if (!isObject(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [field, rule] of Object.entries(rules)) {
+    if (value[field] === undefined || value[field] === null) {
+      if (rule.required) {
+        errors.push(`${path}.${field} is required`);
+      }
+      continue;
+    }
+
+    checkValue(errors, `${path}.${field}`, value[field], rule);
+  }
+}
+
+/**
+ * Check a weekly schedule's shape (the intervals themselves are checked by tenantLoader)
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} path - Field path
+ * @param {Object|undefined} schedule - Day name to day entry
+ * @param {boolean} [required=false] - Whether the schedule must be present
+ */
+function checkWorkingHours(errors, path, schedule, required = false) {
+  if (schedule === undefined && !required) {
+    return;
+  }
+
+  if (!isObject(schedule)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [dayName, hours] of Object.entries(schedule)) {
+    if (!DAY_NAMES.includes(dayName)) {
+      errors.push(`${path}.${dayName} is not a day name`);
+    } else if (!isObject(hours) || typeof hours.enabled !== 'boolean') {
+      errors.push(`${path}.${dayName} needs enabled (true or false)`);
+    }
+  }
+}
+
+/**
+ * Check one value against a rule
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} path - Field path
+ * @param {*} value - Value (undefined is allowed)
+ * @param {Object} rule - { type, min, max, values, pattern, items }
+ */
+function checkValue(errors, path, value, rule) {
+  if (value === undefined) {
+    return;
+  }
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${path} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+      } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        errors.push(`${path} must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`);
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+      } else if ((rule.values && !rule.values.includes(value)) || (rule.pattern && !rule.pattern.test(value))) {
+        errors.push(`${path} has an invalid value: ${value}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`);
+      }
+      break;
+
+    case 'object':
+      if (!isObject(value)) {
+        errors.push(`${path} must be an object`);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+      } else {
+        value.forEach((item, index) => checkValue(errors, `${path}[${index}]`, item, rule.items));
+      }
+      break;
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        errors.push(`${path} must be a date (YYYY-MM-DD)`);
+      }
+      break;
+
+    case 'day':
+      if (typeof value !== 'string' || (!DAY_NAMES.includes(value) && !DATE_PATTERN.test(value))) {
+        errors.push(`${path} must be a day name or a date (YYYY-MM-DD)`);
+      }
+      break;
+
+    case 'timezone':
+      if (typeof value !== 'string' || !isTimezone(value)) {
+        errors.push(`${path} must be an IANA timezone (e.g. Asia/Kuwait)`);
+      }
+      break;
+  }
+}
+
+/**
+ * Check whether a string is a timezone the runtime knows
+ * @param {string} name - Timezone name
+ * @returns {boolean}
+ */
+function isTimezone(name) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: name });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -3,23 +3,55 @@
  * Validates phone numbers, dates, times, and service IDs
  */
 
-import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { parsePhoneNumberFromString, getCountryCallingCode } from 'libphonenumber-js';
 import dayjs from 'dayjs';
 import customParseFormat from 'dayjs/plugin/customParseFormat.js';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter.js';
-import { getService, getWorkingHours, isDateBlocked, loadTenantConfig } from './tenantLoader.js';
+import { getService, getOpenIntervals, getHoliday, isDateBlocked, loadTenantConfig } from './tenantLoader.js';
+import { getCurrentDate, parseDateTime, timeToMinutes, minutesToTime } from '../utils/dateHelpers.js';
 
 dayjs.extend(customParseFormat);
 dayjs.extend(isSameOrAfter);
 
+// Arabic names for country codes shown in phone errors
+const COUNTRY_NAMES_AR = {
+  KW: 'الكويت',
+  SA: 'السعودية',
+  AE: 'الإمارات',
+  BH: 'البحرين',
+  QA: 'قطر',
+  OM: 'عُمان',
+  EG: 'مصر',
+  JO: 'الأردن',
+  LB: 'لبنان',
+  IQ: 'العراق'
+};
+
 /**
- * Validate Kuwait phone number
+ * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII digits
+ * @param {string} value - Input string
+ * @returns {string} String with ASCII digits
+ */
+export function normalizeDigits(value) {
+  return String(value)
+    .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0));
+}
+
+/**
+ * Validate a phone number against the tenant's phone settings
+ * Local numbers are read in the tenant's `phone_default_region`; the parsed
+ * number must belong to one of `allowed_phone_countries`.
  * @param {string} phoneNumber - Phone number to validate
- * @returns {{valid: boolean, formatted?: string, error?: string}}
+ * @param {string} [tenantId] - Tenant identifier (Kuwait-only when omitted)
+ * @returns {{valid: boolean, formatted?: string, country?: string, error?: string}}
  */
-export function validatePhone(phoneNumber) {
+export function validatePhone(phoneNumber, tenantId = null) {
+  const { defaultRegion, allowedCountries } = getPhoneSettings(tenantId);
+
   try {
-    const phone = parsePhoneNumberFromString(phoneNumber, 'KW');
+    const normalized = normalizeDigits(phoneNumber || '').trim();
+    const phone = parsePhoneNumberFromString(normalized, defaultRegion);
 
     if (!phone) {
       return {
@@ -35,16 +67,19 @@ export function validatePhone(phoneNumber) {
       };
     }
 
-    if (phone.country !== 'KW') {
+    if (!allowedCountries.includes(phone.country)) {
       return {
         valid: false,
-        error: 'يجب أن يكون رقم هاتف كويتي (+965)'
+        error: allowedCountries.length === 1
+          ? `يجب أن يكون رقم الهاتف من ${describeCountry(allowedCountries[0])}`
+          : `يجب أن يكون رقم الهاتف من إحدى الدول التالية: ${allowedCountries.map(describeCountry).join('، ')}`
       };
     }
 
     return {
       valid: true,
-      formatted: phone.format('E.164') // Returns +965XXXXXXXX
+      formatted: phone.format('E.164'), // e.g. +965XXXXXXXX
+      country: phone.country
     };
   } catch (error) {
     return {
@@ -54,6 +89,34 @@ export function validatePhone(phoneNumber) {
   }
 }
 
+/**
+ * Get the phone settings for a tenant
+ * @param {string|null} tenantId - Tenant identifier
+ * @returns {{defaultRegion: string, allowedCountries: Array<string>}}
+ */
+function getPhoneSettings(tenantId) {
+  const settings = tenantId ? loadTenantConfig(tenantId).settings : {};
+  const defaultRegion = settings.phone_default_region || 'KW';
+  const allowedCountries = settings.allowed_phone_countries?.length
+    ? settings.allowed_phone_countries
+    : [defaultRegion];
+
+  return { defaultRegion, allowedCountries };
+}
+
+/**
+ * Describe a country for phone errors, e.g. "الكويت (+965)"
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {string} Arabic name with calling code
+ */
+function describeCountry(country) {
+  try {
+    return `${COUNTRY_NAMES_AR[country] || country} (+${getCountryCallingCode(country)})`;
+  } catch (error) {
+    return COUNTRY_NAMES_AR[country] || country;
+  }
+}
+
 /**
  * Validate date
  * @param {string} tenantId - Tenant identifier
@@ -71,8 +134,8 @@ export function validateDate(tenantId, date) {
     };
   }
 
-  // Check if date is in the past
-  const today = dayjs().startOf('day');
+  // Check if date is in the past (today as seen in the salon's timezone)
+  const today = dayjs(getCurrentDate(tenantId), 'YYYY-MM-DD');
   if (dateObj.isBefore(today)) {
     return {
       valid: false,
@@ -80,8 +143,16 @@ export function validateDate(tenantId, date) {
     };
   }
 
-  // Check advance booking limit
+  // Check same-day booking policy
   const config = loadTenantConfig(tenantId);
+  if (config.settings.allow_same_day_booking === false && dateObj.isSame(today, 'day')) {
+    return {
+      valid: false,
+      error: 'لا يمكن الحجز في نفس اليوم، يرجى اختيار يوم آخر'
+    };
+  }
+
+  // Check advance booking limit
   const maxAdvanceDays = config.settings.advance_booking_days || 30;
   const maxDate = today.add(maxAdvanceDays, 'day');
   if (dateObj.isAfter(maxDate)) {
@@ -91,7 +162,15 @@ export function validateDate(tenantId, date) {
     };
   }
 
-  // Check if date is blocked
+  // Check public holidays, then dates the salon blocked itself
+  const holiday = getHoliday(tenantId, date);
+  if (holiday) {
+    return {
+      valid: false,
+      error: `الصالون مغلق بمناسبة ${holiday.name_ar || holiday.name}`
+    };
+  }
+
   if (isDateBlocked(tenantId, date)) {
     return {
       valid: false,
@@ -108,13 +187,16 @@ export function validateDate(tenantId, date) {
 }
 
 /**
- * Validate time against working hours
+ * Validate time against working hours and staff-blocked ranges
+ * The time must fall inside one of the date's opening intervals, which include split shifts
+ * and the hours after midnight of the previous night's late shift.
  * @param {string} tenantId - Tenant identifier
  * @param {string} time - Time string (HH:MM)
- * @param {string} dayName - Day of week (lowercase)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Array<Object>} [blockedSlots] - Blocked slots for the date (from blockedSlots.getBlockedSlots)
  * @returns {{valid: boolean, error?: string}}
  */
-export function validateTime(tenantId, time, dayName) {
+export function validateTime(tenantId, time, date, blockedSlots = []) {
   // Parse time
   const timeObj = dayjs(time, 'HH:mm', true);
 
@@ -125,23 +207,78 @@ export function validateTime(tenantId, time, dayName) {
     };
   }
 
-  // Get working hours for this day
-  const workingHours = getWorkingHours(tenantId, dayName);
+  // Get opening intervals for this date, in minutes from its midnight
+  const intervals = getOpenIntervals(tenantId, date);
 
-  if (!workingHours.enabled) {
+  if (intervals.length === 0) {
     return {
       valid: false,
       error: 'الصالون مغلق في هذا اليوم'
     };
   }
 
-  const startTime = dayjs(workingHours.start, 'HH:mm');
-  const endTime = dayjs(workingHours.end, 'HH:mm');
+  const minutes = timeToMinutes(time);
+
+  if (!intervals.some(interval => minutes >= interval.start && minutes < interval.end)) {
+    const hours = intervals
+      .map(interval => `${minutesToTime(Math.max(0, interval.start))} - ${minutesToTime(interval.end)}`)
+      .join('، ');
+
+    return {
+      valid: false,
+      error: `يرجى اختيار وقت ضمن ساعات العمل (${hours})`
+    };
+  }
+
+  // Salon-wide blocks only; a single stylist's block is handled by stylist assignment
+  const block = blockedSlots.find(b =>
+    !b.stylist_id &&
+    timeObj.isSameOrAfter(dayjs(b.start_time, 'HH:mm')) &&
+    timeObj.isBefore(dayjs(b.end_time, 'HH:mm'))
+  );
+
+  if (block) {
+    return {
+      valid: false,
+      error: `هذا الوقت غير متاح للحجز (${block.start_time} - ${block.end_time})`
+    };
+  }
+
+  return {
+    valid: true
+  };
+}
+
+/**
+ * Validate minimum lead time before an appointment
+ * Also rejects times that have already passed today.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Time string (HH:MM)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateLeadTime(tenantId, date, time) {
+  const config = loadTenantConfig(tenantId);
+  const noticeMinutes = config.settings.min_booking_notice_minutes || 0;
+
+  const start = parseDateTime(date, time, tenantId);
+  const earliest = dayjs().add(noticeMinutes, 'minute');
+
+  if (start.isBefore(dayjs())) {
+    return {
+      valid: false,
+      error: 'لا يمكن الحجز في وقت سابق'
+    };
+  }
+
+  if (start.isBefore(earliest)) {
+    const notice = noticeMinutes % 60 === 0
+      ? `${noticeMinutes / 60} ساعة`
+      : `${noticeMinutes} دقيقة`;
 
-  if (timeObj.isBefore(startTime) || timeObj.isSameOrAfter(endTime)) {
     return {
       valid: false,
-      error: `يرجى اختيار وقت ضمن ساعات العمل (${workingHours.start} - ${workingHours.end})`
+      error: `يجب الحجز قبل ${notice} على الأقل من موعد الخدمة`
     };
   }
 
@@ -172,6 +309,60 @@ export function validateService(tenantId, serviceId) {
   };
 }
 
+/**
+ * Validate the services of a visit
+ * Several services are booked back to back; the combined service carries the
+ * total duration and price and is used wherever a single service is expected.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Array<string>|string} serviceIds - Service IDs in visit order (array or comma-separated)
+ * @returns {{valid: boolean, services?: Array<Object>, service?: Object, error?: string}}
+ */
+export function validateServices(tenantId, serviceIds) {
+  const ids = (Array.isArray(serviceIds) ? serviceIds : String(serviceIds || '').split(','))
+    .map(id => (id === undefined || id === null ? '' : String(id).trim()))
+    .filter(Boolean);
+
+  if (ids.length === 0) {
+    return {
+      valid: false,
+      error: 'الخدمة غير متوفرة'
+    };
+  }
+
+  if (new Set(ids).size !== ids.length) {
+    return {
+      valid: false,
+      error: 'لا يمكن تكرار نفس الخدمة في الحجز'
+    };
+  }
+
+  const services = [];
+  for (const id of ids) {
+    const service = getService(tenantId, id);
+    if (!service) {
+      return {
+        valid: false,
+        error: ids.length > 1 ? `الخدمة غير متوفرة (${id})` : 'الخدمة غير متوفرة'
+      };
+    }
+    services.push(service);
+  }
+
+  const prices = services.map(s => s.price).filter(price => price !== undefined);
+
+  return {
+    valid: true,
+    services,
+    service: services.length === 1 ? services[0] : {
+      id: services[0].id,
+      name: services.map(s => s.name).join(' + '),
+      duration_minutes: services.reduce((sum, s) => sum + s.duration_minutes, 0),
+      price: prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) : undefined,
+      currency: services[0].currency
+    }
+  };
+}
+
 /**
  * Validate booking ID format
  * @param {string} bookingId - Booking ID to validate
@@ -193,18 +384,40 @@ export function validateBookingId(bookingId) {
   };
 }
 
+/**
+ * Validate series ID format
+ * @param {string} seriesId - Series ID to validate
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateSeriesId(seriesId) {
+  // Format: SR-{YYYYMMDD}-{seq}
+  const pattern = /^SR-\d{8}-\d{3}$/;
+
+  if (!pattern.test(seriesId)) {
+    return {
+      valid: false,
+      error: 'رقم سلسلة المواعيد غير صحيح'
+    };
+  }
+
+  return {
+    valid: true
+  };
+}
+
 /**
  * Validate all booking inputs
  * @param {Object} params - Booking parameters
+ * @param {Array<Object>} [blockedSlots] - Blocked slots for the booking date
  * @returns {{valid: boolean, errors?: string[], data?: Object}}
  */
-export function validateBookingInput(params) {
-  const { tenant_id, customer_name, phone_number, service_id, date, time } = params;
+export function validateBookingInput(params, blockedSlots = []) {
+  const { tenant_id, customer_name, phone_number, service_id, service_ids, date, time } = params;
   const errors = [];
   const data = {};
 
   // Validate phone
-  const phoneValidation = validatePhone(phone_number);
+  const phoneValidation = validatePhone(phone_number, tenant_id);
   if (!phoneValidation.valid) {
     errors.push(phoneValidation.error);
   } else {
@@ -221,18 +434,26 @@ export function validateBookingInput(params) {
 
   // Validate time (only if date is valid)
   if (dateValidation.valid) {
-    const timeValidation = validateTime(tenant_id, time, dateValidation.dayName);
+    const timeValidation = validateTime(tenant_id, time, date, blockedSlots);
     if (!timeValidation.valid) {
       errors.push(timeValidation.error);
+    } else {
+      const leadTimeValidation = validateLeadTime(tenant_id, date, time);
+      if (!leadTimeValidation.valid) {
+        errors.push(leadTimeValidation.error);
+      }
     }
   }
 
-  // Validate service
-  const serviceValidation = validateService(tenant_id, service_id);
+  // Validate service(s); service_ids books several services in one visit
+  const serviceValidation = service_ids
+    ? validateServices(tenant_id, service_ids)
+    : validateServices(tenant_id, [service_id]);
   if (!serviceValidation.valid) {
     errors.push(serviceValidation.error);
   } else {
     data.service = serviceValidation.service;
+    data.services = serviceValidation.services;
   }
 
   // Validate customer name
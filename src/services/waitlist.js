@@ -0,0 +1,270 @@
+/**
+ * Waitlist Service
+ * Customers waiting for a fully booked date; freed capacity is offered to the oldest matching entry
+ *
+ * Entry lifecycle: waiting → offered → booked, or → left / expired.
+ * An offer holds a concrete slot for `settings.waitlist_hold_minutes`; while it is open
+ * the scheduler counts it as occupied for everyone except the offered customer.
+ */
+
+import { loadTenantConfig } from './tenantLoader.js';
+import { getAvailableSlots, isSlotAvailable, calculateEndTime } from './scheduler.js';
+import { nextSequence, withDateLock } from './concurrency.js';
+import { createNotifier } from './notifier.js';
+import { renderMessage } from '../utils/messageTemplates.js';
+import { getTimestamp, getCurrentDate, now } from '../utils/dateHelpers.js';
+import database from './database.js';
+
+let notifier = null;
+
+/**
+ * Replace the notifier used for waitlist offers (defaults to createNotifier())
+ * @param {{send: Function}} customNotifier - Notifier transport
+ */
+export function setWaitlistNotifier(customNotifier) {
+  notifier = customNotifier;
+}
+
+/**
+ * Find the customer's active entry for a date and service
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<Object|null>} Waiting or offered entry
+ */
+export async function findActiveEntry(tenantId, phoneNumber, date, serviceId) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+  return waitlistCol.findOne({
+    tenant_id: tenantId,
+    phone_number: phoneNumber,
+    date,
+    service_id: serviceId,
+    status: { $in: ['waiting', 'offered'] }
+  });
+}
+
+/**
+ * Add a customer to the waitlist
+ * Waitlist ID format: WL-{YYYYMMDD}-{seq}
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} entry - Entry fields (customer_name, phone_number, service, stylist_id, date, time_from, time_to, notes)
+ * @returns {Promise<Object>} Created entry
+ */
+export async function joinWaitlist(tenantId, entry) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+
+  const dateStr = entry.date.replace(/-/g, '');
+  const sequence = await nextSequence(tenantId, `waitlist-${dateStr}`);
+
+  const document = {
+    waitlist_id: `WL-${dateStr}-${sequence.toString().padStart(3, '0')}`,
+    tenant_id: tenantId,
+    customer_name: entry.customer_name,
+    phone_number: entry.phone_number,
+    service_id: entry.service.id,
+    service_name: entry.service.name,
+    service_duration: entry.service.duration_minutes,
+    stylist_id: entry.stylist_id || null,
+    date: entry.date,
+    time_from: entry.time_from,
+    time_to: entry.time_to,
+    notes: entry.notes || '',
+    status: 'waiting',
+    offer: null,
+    booking_id: null,
+    created_at: getTimestamp(),
+    updated_at: getTimestamp()
+  };
+
+  await waitlistCol.insertOne(document);
+  return document;
+}
+
+/**
+ * Remove a customer from the waitlist
+ * If they held an offer, the slot is offered to the next customer.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} waitlistId - Waitlist ID
+ * @returns {Promise<Object|null>} Entry as it was before leaving, or null if not active
+ */
+export async function leaveWaitlist(tenantId, waitlistId) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+
+  const entry = await waitlistCol.findOneAndUpdate(
+    { tenant_id: tenantId, waitlist_id: waitlistId, status: { $in: ['waiting', 'offered'] } },
+    { $set: { status: 'left', updated_at: getTimestamp() } },
+    { returnDocument: 'before' }
+  );
+
+  if (entry?.status === 'offered') {
+    await promoteWaitlist(tenantId, entry.date);
+  }
+
+  return entry;
+}
+
+/**
+ * Mark the customer's waitlist entries for a date as booked
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Newly created appointment
+ * @returns {Promise<void>}
+ */
+export async function claimWaitlistEntries(tenantId, appointment) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+
+  await waitlistCol.updateMany(
+    {
+      tenant_id: tenantId,
+      phone_number: appointment.phone_number,
+      date: appointment.date,
+      service_id: { $in: appointment.service_ids || [appointment.service_id] },
+      status: { $in: ['waiting', 'offered'] }
+    },
+    {
+      $set: {
+        status: 'booked',
+        booking_id: appointment.booking_id,
+        updated_at: getTimestamp()
+      }
+    }
+  );
+}
+
+/**
+ * Offer freed capacity on a date to waiting customers, oldest first
+ * Each offer holds the first available slot inside the customer's time window.
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Entries that received an offer
+ */
+export async function promoteWaitlist(tenantId, date) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+  const config = loadTenantConfig(tenantId);
+  const holdMinutes = config.settings.waitlist_hold_minutes || 30;
+
+  // Offers are made under the date lock so they cannot race a booking for the same slot
+  const offered = await withDateLock(tenantId, date, async () => {
+    const waiting = await waitlistCol.find({
+      tenant_id: tenantId,
+      date,
+      status: 'waiting'
+    }).sort({ created_at: 1 }).toArray();
+
+    const promoted = [];
+
+    for (const entry of waiting) {
+      const slots = await getAvailableSlots(tenantId, date, entry.service_duration, {
+        serviceId: entry.service_id,
+        stylistId: entry.stylist_id
+      });
+
+      const slot = slots.find(s => s.time >= entry.time_from && s.time <= entry.time_to);
+      if (!slot) {
+        continue;
+      }
+
+      const slotCheck = await isSlotAvailable(tenantId, date, slot.time, entry.service_duration, {
+        serviceId: entry.service_id,
+        stylistId: entry.stylist_id
+      });
+
+      if (!slotCheck.available) {
+        continue;
+      }
+
+      const expiresAt = now(tenantId).add(holdMinutes, 'minute');
+      const offer = {
+        time: slot.time,
+        end_time: calculateEndTime(slot.time, entry.service_duration),
+        stylist_id: slotCheck.stylist?.id || null,
+        stylist_name: slotCheck.stylist?.name || null,
+        expires_at: expiresAt.toISOString(),
+        hold_until: expiresAt.format('HH:mm')
+      };
+
+      const result = await waitlistCol.updateOne(
+        { waitlist_id: entry.waitlist_id, status: 'waiting' },
+        { $set: { status: 'offered', offer, offered_at: getTimestamp(), updated_at: getTimestamp() } }
+      );
+
+      if (result.modifiedCount > 0) {
+        promoted.push({ ...entry, status: 'offered', offer });
+      }
+    }
+
+    return promoted;
+  });
+
+  for (const entry of offered) {
+    await notifyOffer(tenantId, entry);
+  }
+
+  return offered;
+}
+
+/**
+ * Expire offers that were not taken up in time, then re-offer capacity on every waitlisted date
+ * Run periodically by the reminder worker.
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Promise<{expired: number, offered: number}>} Counts
+ */
+export async function processWaitlist(tenantId) {
+  const waitlistCol = database.getCollection(tenantId, 'waitlist');
+  const today = getCurrentDate(tenantId);
+
+  const expired = await waitlistCol.updateMany(
+    { tenant_id: tenantId, status: 'offered', 'offer.expires_at': { $lte: getTimestamp() } },
+    { $set: { status: 'expired', updated_at: getTimestamp() } }
+  );
+
+  // Past dates can no longer be booked
+  await waitlistCol.updateMany(
+    { tenant_id: tenantId, status: 'waiting', date: { $lt: today } },
+    { $set: { status: 'expired', updated_at: getTimestamp() } }
+  );
+
+  const waiting = await waitlistCol.find({
+    tenant_id: tenantId,
+    status: 'waiting',
+    date: { $gte: today }
+  }).toArray();
+
+  let offered = 0;
+  for (const date of new Set(waiting.map(entry => entry.date))) {
+    offered += (await promoteWaitlist(tenantId, date)).length;
+  }
+
+  return { expired: expired.modifiedCount, offered };
+}
+
+/**
+ * Send a waitlist offer to the customer
+ * A failed send is logged; the hold stays in place until it expires.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} entry - Offered entry
+ * @returns {Promise<void>}
+ */
+async function notifyOffer(tenantId, entry) {
+  try {
+    if (!notifier) {
+      notifier = createNotifier();
+    }
+
+    await notifier.send({
+      tenant_id: tenantId,
+      to: entry.phone_number,
+      type: 'waitlist_offer',
+      booking_id: null,
+      waitlist_id: entry.waitlist_id,
+      message: renderMessage(tenantId, 'waitlist_offer', {
+        ...entry,
+        time: entry.offer.time,
+        stylist_name: entry.offer.stylist_name,
+        hold_until: entry.offer.hold_until
+      })
+    });
+  } catch (error) {
+    console.error(`❌ Waitlist offer notification failed for ${entry.waitlist_id}:`, error.message);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Block Time Tool
+ * Block part of a day for the whole salon or a single stylist
+ */
+
+import dayjs from 'dayjs';
+import { createBlockedSlot, findBlock } from '../services/blockedSlots.js';
+import { getStylist } from '../services/tenantLoader.js';
+import { getCurrentDate } from '../utils/dateHelpers.js';
+import { getAppointmentItems } from '../utils/appointmentItems.js';
+import { ACTIVE_STATUSES } from '../services/appointmentStatus.js';
+import { formatBlockResponse, formatError } from '../utils/responseFormatter.js';
+import database from '../services/database.js';
+
+/**
+ * Block a time range
+ * @param {Object} params - Block parameters
+ * @returns {Promise<Object>} Block result
+ */
+export async function blockTime(params) {
+  const {
+    tenant_id,
+    date,
+    start_time,
+    end_time,
+    stylist_id = null,
+    reason = ''
+  } = params;
+
+  try {
+    // Validate date
+    const dateObj = dayjs(date, 'YYYY-MM-DD', true);
+    if (!dateObj.isValid()) {
+      return formatError('التاريخ غير صحيح');
+    }
+
+    if (dateObj.isBefore(dayjs(getCurrentDate(tenant_id), 'YYYY-MM-DD'))) {
+      return formatError('لا يمكن حجب وقت في تاريخ سابق');
+    }
+
+    // Validate time range
+    const start = dayjs(start_time, 'HH:mm', true);
+    const end = dayjs(end_time, 'HH:mm', true);
+    if (!start.isValid() || !end.isValid()) {
+      return formatError('الوقت غير صحيح');
+    }
+
+    if (!start.isBefore(end)) {
+      return formatError('وقت البداية يجب أن يكون قبل وقت النهاية');
+    }
+
+    // Validate stylist
+    if (stylist_id && !getStylist(tenant_id, stylist_id)) {
+      return formatError('الكوافيرة المطلوبة غير موجودة');
+    }
+
+    const block = await createBlockedSlot(tenant_id, {
+      date,
+      start_time,
+      end_time,
+      stylist_id,
+      reason: reason.trim()
+    });
+
+    // Existing bookings are kept; report them so staff can reschedule
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointments = await appointmentsCol.find({
+      date,
+      status: { $in: ACTIVE_STATUSES }
+    }).toArray();
+
+    const conflicts = appointments.filter(apt =>
+      getAppointmentItems(apt).some(item =>
+        (!stylist_id || item.stylist_id === stylist_id) &&
+        findBlock([block], date, item.time, item.duration_minutes, item.stylist_id)
+      )
+    );
+
+    return formatBlockResponse(block, conflicts, tenant_id);
+
+  } catch (error) {
+    console.error('Block time error:', error);
+    return formatError('حدث خطأ أثناء حجب الوقت');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const blockTimeTool = {
+  name: 'block_time',
+  description: 'Block a time range on a date for the whole salon or one stylist (e.g. staff meeting)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      date: {
+        type: 'string',
+        description: 'Date to block (YYYY-MM-DD)'
+      },
+      start_time: {
+        type: 'string',
+        description: 'Block start time (HH:MM in 24h format)'
+      },
+      end_time: {
+        type: 'string',
+        description: 'Block end time (HH:MM in 24h format)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Stylist ID to block (optional, blocks the whole salon if omitted)'
+      },
+      reason: {
+        type: 'string',
+        description: 'Reason for the block (optional)'
+      }
+    },
+    required: ['tenant_id', 'date', 'start_time', 'end_time']
+  }
+};
@@ -1,16 +1,19 @@
 /**
  * Book Appointment Tool
- * Creates a new appointment with validation and collision detection
+ * Creates a new appointment with validation and race-free collision detection
  */
 
 import { validateBookingInput } from '../services/validator.js';
-import { isSlotAvailable, calculateEndTime, generateBookingId } from '../services/scheduler.js';
-import { formatBookingSuccess, formatError } from '../utils/responseFormatter.js';
-import { getTimestamp } from '../utils/dateHelpers.js';
-import database from '../services/database.js';
+import { formatBookingSuccess, formatBookingUnavailable, formatError } from '../utils/responseFormatter.js';
+import { createAppointment } from '../services/booking.js';
+import { suggestSlots } from '../services/suggestions.js';
+import { getBlockedSlots } from '../services/blockedSlots.js';
+import { checkPhoneBookingLimits } from '../services/rateLimiter.js';
+import { checkNoShowPolicy } from '../services/noShowPolicy.js';
 
 /**
  * Book a new appointment
+ * Passing `service_ids` books several services back to back as one visit.
  * @param {Object} params - Booking parameters
  * @returns {Promise<Object>} Booking result
  */
@@ -19,65 +22,67 @@ export async function bookAppointment(params) {
     tenant_id,
     customer_name,
     phone_number,
-    service_id,
     date,
     time,
-    notes = ''
+    stylist_id = null,
+    notes = '',
+    actor = null
   } = params;
 
   try {
     // Validate all inputs
-    const validation = validateBookingInput(params);
+    const blockedSlots = await getBlockedSlots(tenant_id, date);
+    const validation = validateBookingInput(params, blockedSlots);
     if (!validation.valid) {
       return formatError(validation.errors);
     }
 
-    const { service, phone_number: formattedPhone } = validation.data;
+    const { service, services, phone_number: formattedPhone } = validation.data;
 
-    // Check slot availability
-    const slotCheck = await isSlotAvailable(
-      tenant_id,
-      date,
-      time,
-      service.duration_minutes
-    );
-
-    if (!slotCheck.available) {
-      return formatError(slotCheck.error);
+    // Per-phone abuse limits
+    const phoneLimits = await checkPhoneBookingLimits(tenant_id, formattedPhone);
+    if (!phoneLimits.allowed) {
+      return formatError(phoneLimits.error);
     }
 
-    // Calculate end time
-    const endTime = calculateEndTime(time, service.duration_minutes);
-
-    // Generate unique booking ID
-    const bookingId = await generateBookingId(tenant_id, date);
+    // Customers with repeated no-shows pay a deposit or must call the salon
+    const policy = await checkNoShowPolicy(tenant_id, formattedPhone);
+    if (!policy.allowed) {
+      return formatError(policy.error);
+    }
 
-    // Create appointment object
-    const appointment = {
-      booking_id: bookingId,
-      tenant_id,
-      customer_name: customer_name.trim(),
+    const result = await createAppointment(tenant_id, {
+      customer_name,
       phone_number: formattedPhone,
-      service_id,
-      service_name: service.name,
-      service_duration: service.duration_minutes,
+      service,
+      services,
       date,
       time,
-      end_time: endTime,
-      status: 'confirmed',
-      notes: notes.trim(),
-      created_at: getTimestamp(),
-      updated_at: getTimestamp(),
-      cancelled_at: null,
-      cancellation_reason: null
-    };
+      stylist_id,
+      notes,
+      deposit_percentage: policy.depositPercentage ?? null,
+      actor
+    });
 
-    // Save to database
-    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
-    await appointmentsCol.insertOne(appointment);
+    if (result.limitReached) {
+      return formatError(result.error);
+    }
+
+    if (result.error) {
+      // Offer nearby slots so the caller does not have to search again
+      const suggestions = await suggestSlots(tenant_id, {
+        date,
+        time,
+        service,
+        services,
+        stylistId: stylist_id,
+        phoneNumber: formattedPhone
+      });
+      return formatBookingUnavailable(result.error, suggestions);
+    }
 
     // Return success response
-    return formatBookingSuccess(appointment, tenant_id);
+    return formatBookingSuccess(result.appointment, tenant_id, policy.notice || null);
 
   } catch (error) {
     console.error('Book appointment error:', error);
@@ -104,11 +109,16 @@ export const bookAppointmentTool = {
       },
       phone_number: {
         type: 'string',
-        description: 'Kuwait phone number format: +965XXXXXXXX'
+        description: "Customer phone number. International format (e.g. +965XXXXXXXX, +9665XXXXXXXX) or a local number in the salon's country; Arabic-Indic digits are accepted. Must be from one of the tenant's allowed_phone_countries"
       },
       service_id: {
         type: 'string',
-        description: "Service ID from tenant config (e.g., 'SRV-002')"
+        description: "Service ID from tenant config (e.g., 'SRV-002'). Use service_ids instead for several services"
+      },
+      service_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: "Several service IDs booked back to back in one visit, in order (e.g., ['SRV-001', 'SRV-002']). Each service may be done by a different qualified stylist unless stylist_id is given"
       },
       date: {
         type: 'string',
@@ -118,11 +128,15 @@ export const bookAppointmentTool = {
         type: 'string',
         description: 'Appointment time (HH:MM in 24h format)'
       },
+      stylist_id: {
+        type: 'string',
+        description: "Requested stylist ID (optional, e.g., 'STY-001'). If omitted, a qualified stylist is assigned"
+      },
       notes: {
         type: 'string',
         description: 'Optional notes from customer'
       }
     },
-    required: ['tenant_id', 'customer_name', 'phone_number', 'service_id', 'date', 'time']
+    required: ['tenant_id', 'customer_name', 'phone_number', 'date', 'time']
   }
 };
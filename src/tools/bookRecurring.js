@@ -0,0 +1,292 @@
+/**
+ * Book Recurring Tool
+ * Books a weekly series of appointments at the same time, reporting conflicting
+ * occurrences with alternative times
+ */
+
+import { validatePhone, validateServices, validateDate, validateTime, validateLeadTime } from '../services/validator.js';
+import { formatSeriesResponse, formatSeriesConflicts, formatError } from '../utils/responseFormatter.js';
+import { createAppointment } from '../services/booking.js';
+import { isSlotAvailable } from '../services/scheduler.js';
+import { buildOccurrenceDates, findAlternatives, generateSeriesId, saveSeries, releaseOccurrences } from '../services/series.js';
+import { getBlockedSlots } from '../services/blockedSlots.js';
+import { checkPhoneBookingLimits } from '../services/rateLimiter.js';
+import { checkNoShowPolicy } from '../services/noShowPolicy.js';
+
+/**
+ * Book a recurring series of appointments
+ * By default nothing is booked when any occurrence conflicts; with `skip_conflicts`
+ * the free occurrences are booked and the rest reported.
+ * @param {Object} params - Booking parameters plus `recurrence` and `skip_conflicts`
+ * @returns {Promise<Object>} Series booking result
+ */
+export async function bookRecurring(params) {
+  const {
+    tenant_id,
+    customer_name,
+    phone_number,
+    service_id,
+    service_ids,
+    date,
+    time,
+    stylist_id = null,
+    notes = '',
+    recurrence = {},
+    skip_conflicts = false,
+    actor = null
+  } = params;
+
+  try {
+    // Validate the parts shared by every occurrence
+    const errors = [];
+
+    const phoneValidation = validatePhone(phone_number, tenant_id);
+    if (!phoneValidation.valid) {
+      errors.push(phoneValidation.error);
+    }
+
+    const serviceValidation = validateServices(tenant_id, service_ids || [service_id]);
+    if (!serviceValidation.valid) {
+      errors.push(serviceValidation.error);
+    }
+
+    if (!customer_name || customer_name.trim().length < 2) {
+      errors.push('الرجاء إدخال اسم العميل');
+    }
+
+    const occurrences = buildOccurrenceDates(tenant_id, date, recurrence);
+    if (occurrences.error) {
+      errors.push(occurrences.error);
+    }
+
+    if (errors.length > 0) {
+      return formatError(errors);
+    }
+
+    const { service, services } = serviceValidation;
+    const formattedPhone = phoneValidation.formatted;
+    const serviceIdList = services.map(s => s.id);
+
+    // Per-phone abuse limits (a series counts as one request)
+    const phoneLimits = await checkPhoneBookingLimits(tenant_id, formattedPhone);
+    if (!phoneLimits.allowed) {
+      return formatError(phoneLimits.error);
+    }
+
+    const policy = await checkNoShowPolicy(tenant_id, formattedPhone);
+    if (!policy.allowed) {
+      return formatError(policy.error);
+    }
+
+    // Check every occurrence against hours, blocked dates and existing bookings
+    const bookable = [];
+    const conflicts = [];
+
+    for (const occurrenceDate of occurrences.dates) {
+      const reason = await checkOccurrence(tenant_id, occurrenceDate, time, service, services, stylist_id, formattedPhone);
+
+      if (reason) {
+        conflicts.push({
+          date: occurrenceDate,
+          time,
+          reason,
+          alternatives: await findAlternatives(tenant_id, occurrenceDate, time, serviceIdList, stylist_id)
+        });
+      } else {
+        bookable.push(occurrenceDate);
+      }
+    }
+
+    if (bookable.length === 0 || (conflicts.length > 0 && !skip_conflicts)) {
+      return formatSeriesConflicts(conflicts, occurrences.dates.length);
+    }
+
+    // Book the free occurrences; a slot taken in the meantime is reported like any other conflict,
+    // and without skip_conflicts undoes the occurrences already booked
+    const seriesId = await generateSeriesId(tenant_id, occurrences.dates[0]);
+    const appointments = [];
+
+    for (const occurrenceDate of bookable) {
+      const result = await createAppointment(tenant_id, {
+        customer_name,
+        phone_number: formattedPhone,
+        service,
+        services,
+        date: occurrenceDate,
+        time,
+        stylist_id,
+        notes,
+        series_id: seriesId,
+        deposit_percentage: policy.depositPercentage ?? null,
+        actor
+      });
+
+      // The series is counted once, so the cap can only refuse its first appointment
+      if (result.limitReached) {
+        return formatError(result.error);
+      }
+
+      if (result.error) {
+        conflicts.push({
+          date: occurrenceDate,
+          time,
+          reason: result.error,
+          alternatives: await findAlternatives(tenant_id, occurrenceDate, time, serviceIdList, stylist_id)
+        });
+
+        if (!skip_conflicts) {
+          await releaseOccurrences(tenant_id, appointments, actor);
+          return formatSeriesConflicts(conflicts, occurrences.dates.length);
+        }
+      } else {
+        appointments.push(result.appointment);
+      }
+    }
+
+    if (appointments.length === 0) {
+      return formatSeriesConflicts(conflicts, occurrences.dates.length);
+    }
+
+    const series = await saveSeries(tenant_id, {
+      series_id: seriesId,
+      customer_name: customer_name.trim(),
+      phone_number: formattedPhone,
+      service_ids: serviceIdList,
+      stylist_id,
+      time,
+      recurrence: {
+        frequency: 'weekly',
+        interval: recurrence.interval || 1,
+        count: recurrence.count || null,
+        until: recurrence.until || null
+      },
+      start_date: occurrences.dates[0],
+      booking_ids: appointments.map(apt => apt.booking_id)
+    });
+
+    conflicts.sort((a, b) => a.date.localeCompare(b.date));
+
+    return formatSeriesResponse(series, appointments, conflicts, tenant_id);
+
+  } catch (error) {
+    console.error('Book recurring error:', error);
+    return formatError('حدث خطأ أثناء حجز المواعيد المتكررة. يرجى المحاولة مرة أخرى');
+  }
+}
+
+/**
+ * Check whether one occurrence can be booked
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {Object} service - Combined service of the visit
+ * @param {Array<Object>} services - Services in visit order
+ * @param {string|null} stylistId - Requested stylist
+ * @param {string} phoneNumber - Customer phone
+ * @returns {Promise<string|null>} Conflict reason, or null when the occurrence is free
+ */
+async function checkOccurrence(tenantId, date, time, service, services, stylistId, phoneNumber) {
+  const dateValidation = validateDate(tenantId, date);
+  if (!dateValidation.valid) {
+    return dateValidation.error;
+  }
+
+  const blockedSlots = await getBlockedSlots(tenantId, date);
+  const timeValidation = validateTime(tenantId, time, date, blockedSlots);
+  if (!timeValidation.valid) {
+    return timeValidation.error;
+  }
+
+  const leadTimeValidation = validateLeadTime(tenantId, date, time);
+  if (!leadTimeValidation.valid) {
+    return leadTimeValidation.error;
+  }
+
+  const slotCheck = await isSlotAvailable(
+    tenantId,
+    date,
+    time,
+    service.duration_minutes,
+    { serviceId: service.id, services, stylistId, phoneNumber }
+  );
+
+  return slotCheck.available ? null : slotCheck.error;
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const bookRecurringTool = {
+  name: 'book_recurring',
+  description: 'Book a recurring series of appointments (every week or every N weeks at the same time). Conflicting occurrences are reported with alternative times',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: "Salon identifier (e.g., 'salon-farah')"
+      },
+      customer_name: {
+        type: 'string',
+        description: "Customer's full name in Arabic"
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number (same formats as book_appointment)'
+      },
+      service_id: {
+        type: 'string',
+        description: "Service ID from tenant config (e.g., 'SRV-002'). Use service_ids instead for several services"
+      },
+      service_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Several service IDs booked back to back in each visit, in order'
+      },
+      date: {
+        type: 'string',
+        description: 'First appointment date (YYYY-MM-DD)'
+      },
+      time: {
+        type: 'string',
+        description: 'Appointment time for every occurrence (HH:MM in 24h format)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Requested stylist ID (optional)'
+      },
+      notes: {
+        type: 'string',
+        description: 'Optional notes from customer'
+      },
+      recurrence: {
+        type: 'object',
+        description: 'Repeat rule. Give count or until (or both; whichever ends first)',
+        properties: {
+          frequency: {
+            type: 'string',
+            enum: ['weekly'],
+            description: 'Only weekly is supported'
+          },
+          interval: {
+            type: 'integer',
+            description: 'Repeat every N weeks (1-4, default 1)'
+          },
+          count: {
+            type: 'integer',
+            description: 'Number of appointments including the first'
+          },
+          until: {
+            type: 'string',
+            description: 'Last possible date (YYYY-MM-DD)'
+          }
+        }
+      },
+      skip_conflicts: {
+        type: 'boolean',
+        description: 'Book the free occurrences and skip conflicting ones (default false: book nothing if any occurrence conflicts)'
+      }
+    },
+    required: ['tenant_id', 'customer_name', 'phone_number', 'date', 'time', 'recurrence']
+  }
+};
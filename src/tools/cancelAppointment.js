@@ -5,8 +5,13 @@
 
 import { validateBookingId } from '../services/validator.js';
 import { formatCancellationResponse, formatError } from '../utils/responseFormatter.js';
-import { getTimestamp } from '../utils/dateHelpers.js';
+import { getAppointmentStart } from '../utils/dateHelpers.js';
 import { loadTenantConfig } from '../services/tenantLoader.js';
+import { recordCancellation } from '../services/customerProfiles.js';
+import { calculateRefund } from '../services/payments.js';
+import { promoteWaitlist } from '../services/waitlist.js';
+import { canTransition, getTransitionError, transitionAppointment } from '../services/appointmentStatus.js';
+import { isLateCancellation } from '../services/noShowPolicy.js';
 import database from '../services/database.js';
 import dayjs from 'dayjs';
 
@@ -16,7 +21,7 @@ import dayjs from 'dayjs';
  * @returns {Promise<Object>} Cancellation result
  */
 export async function cancelAppointment(params) {
-  const { tenant_id, booking_id, cancellation_reason = '' } = params;
+  const { tenant_id, booking_id, cancellation_reason = '', actor = null } = params;
 
   try {
     // Validate booking ID
@@ -36,16 +41,16 @@ export async function cancelAppointment(params) {
       return formatError('رقم الحجز غير موجود');
     }
 
-    // Check if already cancelled
-    if (appointment.status === 'cancelled') {
-      return formatError('هذا الموعد ملغي مسبقاً');
+    // Only pending and confirmed appointments can be cancelled
+    if (!canTransition(appointment.status, 'cancelled')) {
+      return formatError(getTransitionError(appointment.status, 'cancelled'));
     }
 
     // Check cancellation policy
     const config = loadTenantConfig(tenant_id);
     const cancellationHours = config.settings.cancellation_hours_notice || 24;
 
-    const appointmentDateTime = dayjs(`${appointment.date} ${appointment.time}`, 'YYYY-MM-DD HH:mm');
+    const appointmentDateTime = getAppointmentStart(tenant_id, appointment);
     const now = dayjs();
     const hoursUntilAppointment = appointmentDateTime.diff(now, 'hour', true);
 
@@ -62,17 +67,38 @@ export async function cancelAppointment(params) {
     }
 
     // Update appointment status
-    await appointmentsCol.updateOne(
-      { booking_id, tenant_id },
-      {
-        $set: {
-          status: 'cancelled',
-          cancelled_at: getTimestamp(),
-          cancellation_reason: cancellation_reason.trim(),
-          updated_at: getTimestamp()
-        }
-      }
-    );
+    const updates = {
+      cancellation_reason: cancellation_reason.trim(),
+      // A late move to a later date already counted as a late cancellation
+      late_cancellation: appointment.late_cancellation === true || isLateCancellation(tenant_id, hoursUntilAppointment)
+    };
+
+    // Refund any deposit paid, per the cancellation policy above
+    const refundAmount = calculateRefund(appointment);
+    if (refundAmount > 0) {
+      updates.refund_amount = refundAmount;
+      updates.refund_status = 'pending';
+      updates.payment_status = 'refund_pending';
+    }
+
+    const result = await transitionAppointment(tenant_id, appointment, 'cancelled', updates, actor);
+    if (result.error) {
+      return formatError(result.error);
+    }
+
+    // Keep the customer profile in sync (a profile failure must not undo the cancellation)
+    try {
+      await recordCancellation(tenant_id, appointment);
+    } catch (error) {
+      console.error('Customer profile update error:', error);
+    }
+
+    // Offer the freed slot to the waitlist
+    try {
+      await promoteWaitlist(tenant_id, appointment.date);
+    } catch (error) {
+      console.error('Waitlist promotion error:', error);
+    }
 
     // Fetch updated appointment
     const cancelledAppointment = await appointmentsCol.findOne({
@@ -0,0 +1,99 @@
+/**
+ * Cancel Series Tool
+ * Cancel every upcoming appointment of a recurring series
+ */
+
+import { validateSeriesId } from '../services/validator.js';
+import { formatSeriesUpdateResponse, formatError } from '../utils/responseFormatter.js';
+import { getSeries, getUpcomingOccurrences, updateSeries } from '../services/series.js';
+import { cancelAppointment } from './cancelAppointment.js';
+import database from '../services/database.js';
+
+/**
+ * Cancel a recurring series
+ * Each occurrence goes through the normal cancellation policy; occurrences inside
+ * the notice period stay booked and are reported.
+ * @param {Object} params - Cancellation parameters
+ * @returns {Promise<Object>} Cancellation result
+ */
+export async function cancelSeries(params) {
+  const { tenant_id, series_id, cancellation_reason = '', actor = null } = params;
+
+  try {
+    const validation = validateSeriesId(series_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    const series = await getSeries(tenant_id, series_id);
+    if (!series) {
+      return formatError('رقم سلسلة المواعيد غير موجود');
+    }
+
+    const occurrences = await getUpcomingOccurrences(tenant_id, series_id);
+    const cancelledIds = [];
+    const failed = [];
+
+    for (const appointment of occurrences) {
+      const result = await cancelAppointment({
+        tenant_id,
+        booking_id: appointment.booking_id,
+        cancellation_reason,
+        actor
+      });
+
+      if (result.success) {
+        cancelledIds.push(appointment.booking_id);
+      } else {
+        failed.push({
+          booking_id: appointment.booking_id,
+          date: appointment.date,
+          time: appointment.time,
+          reason: result.message
+        });
+      }
+    }
+
+    if (failed.length === 0 && cancelledIds.length > 0) {
+      await updateSeries(tenant_id, series_id, { status: 'cancelled' });
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const cancelled = await appointmentsCol.find({
+      tenant_id,
+      booking_id: { $in: cancelledIds }
+    }).sort({ date: 1 }).toArray();
+
+    return formatSeriesUpdateResponse(series_id, 'cancel', cancelled, failed, tenant_id);
+
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    return formatError('حدث خطأ أثناء إلغاء المواعيد المتكررة');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const cancelSeriesTool = {
+  name: 'cancel_series',
+  description: 'Cancel all upcoming appointments of a recurring series',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      series_id: {
+        type: 'string',
+        description: 'Series ID returned by book_recurring (e.g., SR-20251020-001)'
+      },
+      cancellation_reason: {
+        type: 'string',
+        description: 'Reason for cancellation (optional)'
+      }
+    },
+    required: ['tenant_id', 'series_id']
+  }
+};
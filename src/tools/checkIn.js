@@ -0,0 +1,90 @@
+/**
+ * Check In Tool
+ * Record that the customer has arrived, and optionally that their service has started
+ */
+
+import { validateBookingId } from '../services/validator.js';
+import { transitionAppointment } from '../services/appointmentStatus.js';
+import { formatStatusResponse, formatError } from '../utils/responseFormatter.js';
+import { isToday } from '../utils/dateHelpers.js';
+import database from '../services/database.js';
+
+/**
+ * Check a customer in
+ * @param {Object} params - Check-in parameters
+ * @returns {Promise<Object>} Check-in result
+ */
+export async function checkIn(params) {
+  const { tenant_id, booking_id, start_service = false, actor = null } = params;
+
+  try {
+    // Validate booking ID
+    const validation = validateBookingId(booking_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointment = await appointmentsCol.findOne({ booking_id, tenant_id });
+
+    if (!appointment) {
+      return formatError('رقم الحجز غير موجود');
+    }
+
+    if (appointment.status === 'confirmed' && !isToday(appointment.date, tenant_id)) {
+      return formatError('يمكن تسجيل الحضور في يوم الموعد فقط');
+    }
+
+    // A customer already checked in can have their service started
+    const statuses = appointment.status === 'checked_in' && start_service ? [] : ['checked_in'];
+    if (start_service) {
+      statuses.push('in_service');
+    }
+
+    const result = await transitionAppointment(tenant_id, appointment, statuses, {}, actor);
+    if (result.error) {
+      return formatError(result.error);
+    }
+
+    const messages = {
+      checked_in: 'تم تسجيل حضور العميل',
+      in_service: 'تم بدء الخدمة'
+    };
+
+    return formatStatusResponse(
+      result.appointment,
+      tenant_id,
+      statuses.map(status => messages[status]).join(' و')
+    );
+
+  } catch (error) {
+    console.error('Check in error:', error);
+    return formatError('حدث خطأ أثناء تسجيل الحضور');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const checkInTool = {
+  name: 'check_in',
+  description: 'Check a customer in when they arrive for a confirmed appointment (on the appointment date). Set start_service to also mark the service as started',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      booking_id: {
+        type: 'string',
+        description: 'Booking ID'
+      },
+      start_service: {
+        type: 'boolean',
+        description: 'Also mark the service as started (optional, works for customers already checked in)'
+      }
+    },
+    required: ['tenant_id', 'booking_id']
+  }
+};
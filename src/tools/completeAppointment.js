@@ -0,0 +1,81 @@
+/**
+ * Complete Appointment Tool
+ * Mark the service of a checked-in customer as done
+ */
+
+import { validateBookingId } from '../services/validator.js';
+import { transitionAppointment } from '../services/appointmentStatus.js';
+import { recordVisit } from '../services/customerProfiles.js';
+import { formatStatusResponse, formatError } from '../utils/responseFormatter.js';
+import database from '../services/database.js';
+
+/**
+ * Complete an appointment
+ * @param {Object} params - Completion parameters
+ * @returns {Promise<Object>} Completion result
+ */
+export async function completeAppointment(params) {
+  const { tenant_id, booking_id, actor = null } = params;
+
+  try {
+    // Validate booking ID
+    const validation = validateBookingId(booking_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointment = await appointmentsCol.findOne({ booking_id, tenant_id });
+
+    if (!appointment) {
+      return formatError('رقم الحجز غير موجود');
+    }
+
+    if (appointment.status === 'confirmed') {
+      return formatError('يجب تسجيل حضور العميل قبل إكمال الموعد');
+    }
+
+    // A service nobody marked as started starts now
+    const statuses = appointment.status === 'checked_in' ? ['in_service', 'completed'] : ['completed'];
+
+    const result = await transitionAppointment(tenant_id, appointment, statuses, {}, actor);
+    if (result.error) {
+      return formatError(result.error);
+    }
+
+    // Keep the customer profile in sync (a profile failure must not undo the change)
+    try {
+      await recordVisit(tenant_id, appointment);
+    } catch (error) {
+      console.error('Customer profile update error:', error);
+    }
+
+    return formatStatusResponse(result.appointment, tenant_id, 'تم إكمال الموعد بنجاح');
+
+  } catch (error) {
+    console.error('Complete appointment error:', error);
+    return formatError('حدث خطأ أثناء إكمال الموعد');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const completeAppointmentTool = {
+  name: 'complete_appointment',
+  description: 'Mark an appointment as completed once the service is done. The customer must have been checked in',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      booking_id: {
+        type: 'string',
+        description: 'Booking ID'
+      }
+    },
+    required: ['tenant_id', 'booking_id']
+  }
+};
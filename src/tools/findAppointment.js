@@ -38,7 +38,7 @@ export async function findAppointment(params) {
 
     // Search by phone number
     if (phone_number) {
-      const phoneValidation = validatePhone(phone_number);
+      const phoneValidation = validatePhone(phone_number, tenant_id);
       if (!phoneValidation.valid) {
         return formatError(phoneValidation.error);
       }
@@ -87,7 +87,7 @@ export const findAppointmentTool = {
       },
       phone_number: {
         type: 'string',
-        description: 'Customer phone number (optional)'
+        description: 'Customer phone number, international or local format (optional)'
       }
     },
     required: ['tenant_id']
@@ -0,0 +1,63 @@
+/**
+ * Get Appointment History Tool
+ * List every recorded change of an appointment: who made it, what changed and when
+ */
+
+import { validateBookingId } from '../services/validator.js';
+import { getAppointmentEvents } from '../services/appointmentEvents.js';
+import { formatHistoryResponse, formatError } from '../utils/responseFormatter.js';
+import database from '../services/database.js';
+
+/**
+ * Get the change history of an appointment
+ * @param {Object} params - History parameters
+ * @returns {Promise<Object>} History result
+ */
+export async function getAppointmentHistory(params) {
+  const { tenant_id, booking_id } = params;
+
+  try {
+    // Validate booking ID
+    const validation = validateBookingId(booking_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointment = await appointmentsCol.findOne({ booking_id, tenant_id });
+
+    if (!appointment) {
+      return formatError('رقم الحجز غير موجود');
+    }
+
+    const events = await getAppointmentEvents(tenant_id, booking_id);
+
+    return formatHistoryResponse(appointment, events);
+
+  } catch (error) {
+    console.error('Get appointment history error:', error);
+    return formatError('حدث خطأ أثناء جلب سجل الموعد');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const getAppointmentHistoryTool = {
+  name: 'get_appointment_history',
+  description: 'Get the change history of an appointment: every create, update, cancellation, status change and payment with who made it (channel, API key, staff ID), the fields before and after, and when',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      booking_id: {
+        type: 'string',
+        description: 'Booking ID'
+      }
+    },
+    required: ['tenant_id', 'booking_id']
+  }
+};
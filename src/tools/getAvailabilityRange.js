@@ -0,0 +1,101 @@
+/**
+ * Get Availability Range Tool
+ * Returns a per-day availability overview for a date range and service
+ */
+
+import dayjs from 'dayjs';
+import { validateServices } from '../services/validator.js';
+import { getAvailabilityRange as calculateRange } from '../services/scheduler.js';
+import { formatAvailabilityRangeResponse, formatError } from '../utils/responseFormatter.js';
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Get availability for each day of a date range
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Availability overview response
+ */
+export async function getAvailabilityRange(params) {
+  const { tenant_id, start_date, end_date, service_id, service_ids, stylist_id } = params;
+
+  try {
+    const start = dayjs(start_date, 'YYYY-MM-DD', true);
+    const end = end_date
+      ? dayjs(end_date, 'YYYY-MM-DD', true)
+      : start.add(DEFAULT_RANGE_DAYS - 1, 'day');
+
+    if (!start.isValid() || !end.isValid()) {
+      return formatError('التاريخ غير صحيح');
+    }
+
+    if (end.isBefore(start)) {
+      return formatError('تاريخ النهاية يجب أن يكون بعد تاريخ البداية');
+    }
+
+    if (end.diff(start, 'day') >= MAX_RANGE_DAYS) {
+      return formatError(`لا يمكن عرض أكثر من ${MAX_RANGE_DAYS} يوماً في المرة الواحدة`);
+    }
+
+    // Validate service(s); service_ids asks for days with slots fitting the whole visit
+    const serviceValidation = validateServices(tenant_id, service_ids || [service_id]);
+    if (!serviceValidation.valid) {
+      return formatError(serviceValidation.error);
+    }
+
+    const { service, services } = serviceValidation;
+
+    const days = await calculateRange(
+      tenant_id,
+      start.format('YYYY-MM-DD'),
+      end.format('YYYY-MM-DD'),
+      service.duration_minutes,
+      { serviceId: service.id, services, stylistId: stylist_id }
+    );
+
+    return formatAvailabilityRangeResponse(days, service);
+
+  } catch (error) {
+    console.error('Get availability range error:', error);
+    return formatError('حدث خطأ أثناء جلب المواعيد المتاحة');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const getAvailabilityRangeTool = {
+  name: 'get_availability_range',
+  description: 'Get an availability overview for several days at once: per day open/closed status, first and last free slot, and number of free slots',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      start_date: {
+        type: 'string',
+        description: 'First date (YYYY-MM-DD)'
+      },
+      end_date: {
+        type: 'string',
+        description: `Last date (YYYY-MM-DD, optional; defaults to ${DEFAULT_RANGE_DAYS} days from start_date, at most ${MAX_RANGE_DAYS} days)`
+      },
+      service_id: {
+        type: 'string',
+        description: 'Service ID to calculate slot duration'
+      },
+      service_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Several service IDs for one visit, in order (use instead of service_id)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Only count slots where this stylist is free (optional)'
+      }
+    },
+    required: ['tenant_id', 'start_date']
+  }
+};
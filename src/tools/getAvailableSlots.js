@@ -3,7 +3,7 @@
  * Returns available time slots for a specific date and service
  */
 
-import { validateDate, validateService } from '../services/validator.js';
+import { validateDate, validateServices } from '../services/validator.js';
 import { getAvailableSlots as calculateSlots } from '../services/scheduler.js';
 import { formatAvailableSlotsResponse, formatError } from '../utils/responseFormatter.js';
 
@@ -13,7 +13,7 @@ import { formatAvailableSlotsResponse, formatError } from '../utils/responseForm
  * @returns {Promise<Object>} Available slots response
  */
 export async function getAvailableSlots(params) {
-  const { tenant_id, date, service_id } = params;
+  const { tenant_id, date, service_id, service_ids, stylist_id } = params;
 
   try {
     // Validate date
@@ -22,16 +22,20 @@ export async function getAvailableSlots(params) {
       return formatError(dateValidation.error);
     }
 
-    // Validate service
-    const serviceValidation = validateService(tenant_id, service_id);
+    // Validate service(s); service_ids asks for slots fitting the whole visit
+    const serviceValidation = validateServices(tenant_id, service_ids || [service_id]);
     if (!serviceValidation.valid) {
       return formatError(serviceValidation.error);
     }
 
-    const { service } = serviceValidation;
+    const { service, services } = serviceValidation;
 
     // Calculate available slots
-    const slots = await calculateSlots(tenant_id, date, service.duration_minutes);
+    const slots = await calculateSlots(tenant_id, date, service.duration_minutes, {
+      serviceId: service.id,
+      services,
+      stylistId: stylist_id
+    });
 
     // Return formatted response
     return formatAvailableSlotsResponse(slots, date, service);
@@ -62,8 +66,17 @@ export const getAvailableSlotsTool = {
       service_id: {
         type: 'string',
         description: 'Service ID to calculate slot duration'
+      },
+      service_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Several service IDs for one visit, in order; slots fit all of them back to back (use instead of service_id)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Only show slots where this stylist is free (optional)'
       }
     },
-    required: ['tenant_id', 'date', 'service_id']
+    required: ['tenant_id', 'date']
   }
 };
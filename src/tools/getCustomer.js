@@ -0,0 +1,61 @@
+/**
+ * Get Customer Tool
+ * Look up a customer profile so returning clients can be greeted and offered their usual service
+ */
+
+import { validatePhone } from '../services/validator.js';
+import { getCustomer as findCustomer } from '../services/customerProfiles.js';
+import { getReliability } from '../services/noShowPolicy.js';
+import { formatCustomerProfile, formatError } from '../utils/responseFormatter.js';
+
+/**
+ * Get a customer profile by phone number
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Customer profile response
+ */
+export async function getCustomer(params) {
+  const { tenant_id, phone_number } = params;
+
+  try {
+    const phoneValidation = validatePhone(phone_number, tenant_id);
+    if (!phoneValidation.valid) {
+      return formatError(phoneValidation.error);
+    }
+
+    const customer = await findCustomer(tenant_id, phoneValidation.formatted);
+
+    if (!customer) {
+      return formatError('العميل غير مسجل');
+    }
+
+    const reliability = await getReliability(tenant_id, customer.phone_number, customer);
+
+    return formatCustomerProfile(customer, tenant_id, null, reliability);
+
+  } catch (error) {
+    console.error('Get customer error:', error);
+    return formatError('حدث خطأ أثناء جلب بيانات العميل');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const getCustomerTool = {
+  name: 'get_customer',
+  description: 'Get a customer profile (visit history, favourite services, preferences, reliability and any no-show policy restriction) by phone number',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number, international or local format'
+      }
+    },
+    required: ['tenant_id', 'phone_number']
+  }
+};
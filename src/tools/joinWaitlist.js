@@ -0,0 +1,171 @@
+/**
+ * Join Waitlist Tool
+ * Adds a customer to the waitlist for a fully booked date
+ */
+
+import dayjs from 'dayjs';
+import { validateDate, validatePhone, validateService } from '../services/validator.js';
+import { getStylist, getOpenIntervals } from '../services/tenantLoader.js';
+import { getAvailableSlots } from '../services/scheduler.js';
+import { findActiveEntry, joinWaitlist as addToWaitlist } from '../services/waitlist.js';
+import { formatWaitlistResponse, formatError } from '../utils/responseFormatter.js';
+import { minutesToTime, MINUTES_PER_DAY } from '../utils/dateHelpers.js';
+
+/**
+ * Join the waitlist
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Waitlist result
+ */
+export async function joinWaitlist(params) {
+  const {
+    tenant_id,
+    customer_name,
+    phone_number,
+    service_id,
+    date,
+    time_from,
+    time_to,
+    stylist_id = null,
+    notes = ''
+  } = params;
+
+  try {
+    // Validate inputs
+    const errors = [];
+
+    const phoneValidation = validatePhone(phone_number, tenant_id);
+    if (!phoneValidation.valid) {
+      errors.push(phoneValidation.error);
+    }
+
+    const dateValidation = validateDate(tenant_id, date);
+    if (!dateValidation.valid) {
+      errors.push(dateValidation.error);
+    }
+
+    const serviceValidation = validateService(tenant_id, service_id);
+    if (!serviceValidation.valid) {
+      errors.push(serviceValidation.error);
+    }
+
+    if (!customer_name || customer_name.trim().length < 2) {
+      errors.push('الرجاء إدخال اسم العميل');
+    }
+
+    if (stylist_id && !getStylist(tenant_id, stylist_id)) {
+      errors.push('الكوافيرة المطلوبة غير موجودة');
+    }
+
+    if (errors.length > 0) {
+      return formatError(errors);
+    }
+
+    // Default window is the whole working day (times after midnight belong to the next date)
+    const intervals = getOpenIntervals(tenant_id, date);
+    if (intervals.length === 0) {
+      return formatError('الصالون مغلق في هذا اليوم');
+    }
+
+    const windowStart = time_from || minutesToTime(Math.max(0, intervals[0].start));
+    const windowEnd = time_to || minutesToTime(Math.min(intervals[intervals.length - 1].end, MINUTES_PER_DAY - 1));
+
+    const start = dayjs(windowStart, 'HH:mm', true);
+    const end = dayjs(windowEnd, 'HH:mm', true);
+    if (!start.isValid() || !end.isValid()) {
+      return formatError('الوقت غير صحيح');
+    }
+
+    if (end.isBefore(start)) {
+      return formatError('وقت البداية يجب أن يكون قبل وقت النهاية');
+    }
+
+    const { service } = serviceValidation;
+    const formattedPhone = phoneValidation.formatted;
+
+    // One active entry per customer, date and service
+    const existing = await findActiveEntry(tenant_id, formattedPhone, date, service.id);
+    if (existing) {
+      return formatWaitlistResponse(existing, tenant_id, 'رقمك مسجل بالفعل في قائمة الانتظار لهذا اليوم');
+    }
+
+    // No need to wait when the window still has room
+    const slots = await getAvailableSlots(tenant_id, date, service.duration_minutes, {
+      serviceId: service.id,
+      stylistId: stylist_id
+    });
+    const openTimes = slots
+      .map(slot => slot.time)
+      .filter(time => time >= windowStart && time <= windowEnd);
+
+    if (openTimes.length > 0) {
+      return formatError(`توجد مواعيد متاحة في هذه الفترة، يمكنك الحجز مباشرة: ${openTimes.slice(0, 5).join('، ')}`);
+    }
+
+    const entry = await addToWaitlist(tenant_id, {
+      customer_name: customer_name.trim(),
+      phone_number: formattedPhone,
+      service,
+      stylist_id,
+      date,
+      time_from: windowStart,
+      time_to: windowEnd,
+      notes: notes.trim()
+    });
+
+    return formatWaitlistResponse(entry, tenant_id);
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    return formatError('حدث خطأ أثناء الإضافة إلى قائمة الانتظار');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const joinWaitlistTool = {
+  name: 'join_waitlist',
+  description: 'Add a customer to the waitlist for a fully booked date. When a matching slot frees up it is held for them and they are notified',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      customer_name: {
+        type: 'string',
+        description: "Customer's full name in Arabic"
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number, international or local format'
+      },
+      service_id: {
+        type: 'string',
+        description: 'Service ID'
+      },
+      date: {
+        type: 'string',
+        description: 'Desired date (YYYY-MM-DD)'
+      },
+      time_from: {
+        type: 'string',
+        description: 'Earliest acceptable start time (HH:MM, optional, defaults to opening time)'
+      },
+      time_to: {
+        type: 'string',
+        description: 'Latest acceptable start time (HH:MM, optional, defaults to closing time)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Preferred stylist ID (optional)'
+      },
+      notes: {
+        type: 'string',
+        description: 'Additional notes (optional)'
+      }
+    },
+    required: ['tenant_id', 'customer_name', 'phone_number', 'service_id', 'date']
+  }
+};
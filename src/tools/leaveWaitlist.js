@@ -0,0 +1,56 @@
+/**
+ * Leave Waitlist Tool
+ * Removes a customer from the waitlist
+ */
+
+import { leaveWaitlist as removeFromWaitlist } from '../services/waitlist.js';
+import { formatLeaveWaitlistResponse, formatError } from '../utils/responseFormatter.js';
+
+/**
+ * Leave the waitlist
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Leave result
+ */
+export async function leaveWaitlist(params) {
+  const { tenant_id, waitlist_id } = params;
+
+  try {
+    if (!waitlist_id) {
+      return formatError('رقم قائمة الانتظار غير صحيح');
+    }
+
+    const entry = await removeFromWaitlist(tenant_id, waitlist_id);
+
+    if (!entry) {
+      return formatError('رقم قائمة الانتظار غير موجود');
+    }
+
+    return formatLeaveWaitlistResponse(entry);
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    return formatError('حدث خطأ أثناء الحذف من قائمة الانتظار');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const leaveWaitlistTool = {
+  name: 'leave_waitlist',
+  description: 'Remove a customer from the waitlist',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      waitlist_id: {
+        type: 'string',
+        description: 'Waitlist ID returned by join_waitlist'
+      }
+    },
+    required: ['tenant_id', 'waitlist_id']
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * Mark No-Show Tool
+ * Record that the customer did not come to a confirmed appointment
+ */
+
+import { validateBookingId } from '../services/validator.js';
+import { transitionAppointment } from '../services/appointmentStatus.js';
+import { recordNoShow } from '../services/customerProfiles.js';
+import { formatStatusResponse, formatError } from '../utils/responseFormatter.js';
+import { getAppointmentStart } from '../utils/dateHelpers.js';
+import database from '../services/database.js';
+import dayjs from 'dayjs';
+
+/**
+ * Mark an appointment as a no-show
+ * @param {Object} params - No-show parameters
+ * @returns {Promise<Object>} No-show result
+ */
+export async function markNoShow(params) {
+  const { tenant_id, booking_id, actor = null } = params;
+
+  try {
+    // Validate booking ID
+    const validation = validateBookingId(booking_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointment = await appointmentsCol.findOne({ booking_id, tenant_id });
+
+    if (!appointment) {
+      return formatError('رقم الحجز غير موجود');
+    }
+
+    if (appointment.status === 'confirmed' && getAppointmentStart(tenant_id, appointment).isAfter(dayjs())) {
+      return formatError('لا يمكن تسجيل عدم الحضور قبل وقت الموعد');
+    }
+
+    const result = await transitionAppointment(tenant_id, appointment, 'no_show', {}, actor);
+    if (result.error) {
+      return formatError(result.error);
+    }
+
+    // Keep the customer profile in sync (a profile failure must not undo the change)
+    try {
+      await recordNoShow(tenant_id, appointment);
+    } catch (error) {
+      console.error('Customer profile update error:', error);
+    }
+
+    return formatStatusResponse(result.appointment, tenant_id, 'تم تسجيل عدم حضور العميل');
+
+  } catch (error) {
+    console.error('Mark no-show error:', error);
+    return formatError('حدث خطأ أثناء تسجيل عدم الحضور');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const markNoShowTool = {
+  name: 'mark_no_show',
+  description: 'Mark a confirmed appointment as a no-show after its start time has passed',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      booking_id: {
+        type: 'string',
+        description: 'Booking ID'
+      }
+    },
+    required: ['tenant_id', 'booking_id']
+  }
+};
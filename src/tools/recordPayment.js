@@ -0,0 +1,114 @@
+/**
+ * Record Payment Tool
+ * Record a deposit payment and confirm the booking once the deposit is covered
+ */
+
+import { validateBookingId } from '../services/validator.js';
+import { applyPayment, expireUnpaidBookings } from '../services/payments.js';
+import { formatPaymentResponse, formatError } from '../utils/responseFormatter.js';
+import database from '../services/database.js';
+
+/**
+ * Record a payment against a pending booking
+ * @param {Object} params - Payment parameters
+ * @returns {Promise<Object>} Payment result
+ */
+export async function recordPayment(params) {
+  const { tenant_id, booking_id, reference, method = null, actor = null } = params;
+  const amount = Number(params.amount);
+
+  try {
+    // Validate booking ID
+    const validation = validateBookingId(booking_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return formatError('المبلغ غير صحيح');
+    }
+
+    if (!reference || !String(reference).trim()) {
+      return formatError('مرجع الدفع مطلوب');
+    }
+
+    // Expire overdue bookings first so a late payment cannot revive one
+    await expireUnpaidBookings(tenant_id);
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const appointment = await appointmentsCol.findOne({ booking_id, tenant_id });
+
+    if (!appointment) {
+      return formatError('رقم الحجز غير موجود');
+    }
+
+    const paymentReference = String(reference).trim();
+
+    // Webhook retry after the booking was already confirmed
+    if ((appointment.payments || []).some(p => p.reference === paymentReference)) {
+      return formatPaymentResponse(appointment, tenant_id, true);
+    }
+
+    if (appointment.status === 'expired') {
+      return formatError('انتهت مهلة دفع العربون لهذا الحجز');
+    }
+
+    if (appointment.status === 'cancelled') {
+      return formatError('هذا الموعد ملغي مسبقاً');
+    }
+
+    if (!appointment.deposit_amount) {
+      return formatError('هذا الحجز لا يتطلب دفع عربون');
+    }
+
+    if (appointment.status !== 'pending') {
+      return formatError('تم دفع العربون لهذا الحجز مسبقاً');
+    }
+
+    const result = await applyPayment(tenant_id, appointment, {
+      amount,
+      reference: paymentReference,
+      method
+    }, actor);
+
+    return formatPaymentResponse(result.appointment, tenant_id, result.duplicate);
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    return formatError('حدث خطأ أثناء تسجيل الدفعة');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const recordPaymentTool = {
+  name: 'record_payment',
+  description: 'Record a deposit payment for a pending booking; the booking is confirmed once the deposit is fully paid',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      booking_id: {
+        type: 'string',
+        description: 'Booking ID'
+      },
+      amount: {
+        type: 'number',
+        description: 'Amount paid (e.g. 5.6 for 5.600 KWD)'
+      },
+      reference: {
+        type: 'string',
+        description: 'Payment reference from the payment gateway or receipt (used to ignore duplicates)'
+      },
+      method: {
+        type: 'string',
+        description: "Payment method (optional, e.g. 'knet', 'card', 'cash')"
+      }
+    },
+    required: ['tenant_id', 'booking_id', 'amount', 'reference']
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * Reschedule Series Tool
+ * Move every upcoming appointment of a recurring series together
+ */
+
+import dayjs from 'dayjs';
+import { validateSeriesId } from '../services/validator.js';
+import { formatSeriesUpdateResponse, formatError } from '../utils/responseFormatter.js';
+import { getSeries, getUpcomingOccurrences, updateSeries, findAlternatives } from '../services/series.js';
+import { getAppointmentItems } from '../utils/appointmentItems.js';
+import { updateAppointment } from './updateAppointment.js';
+import database from '../services/database.js';
+
+/**
+ * Reschedule a recurring series
+ * Each occurrence is moved like a single update; occurrences that cannot move keep
+ * their slot and are reported with alternative times.
+ * @param {Object} params - Reschedule parameters (`new_time` and/or `shift_days`)
+ * @returns {Promise<Object>} Reschedule result
+ */
+export async function rescheduleSeries(params) {
+  const { tenant_id, series_id, new_time, shift_days = 0, actor = null } = params;
+
+  try {
+    const validation = validateSeriesId(series_id);
+    if (!validation.valid) {
+      return formatError(validation.error);
+    }
+
+    if (!new_time && !shift_days) {
+      return formatError('يجب تحديد الوقت الجديد أو عدد الأيام لنقل المواعيد');
+    }
+
+    if (!Number.isInteger(shift_days) || Math.abs(shift_days) > 6) {
+      return formatError('يمكن نقل المواعيد من 1 إلى 6 أيام فقط');
+    }
+
+    if (new_time && !dayjs(new_time, 'HH:mm', true).isValid()) {
+      return formatError('الوقت غير صحيح');
+    }
+
+    const series = await getSeries(tenant_id, series_id);
+    if (!series) {
+      return formatError('رقم سلسلة المواعيد غير موجود');
+    }
+
+    const occurrences = await getUpcomingOccurrences(tenant_id, series_id);
+    const movedIds = [];
+    const failed = [];
+
+    for (const appointment of occurrences) {
+      // Always pass the date so the new time is checked against that day's hours
+      const targetDate = dayjs(appointment.date).add(shift_days, 'day').format('YYYY-MM-DD');
+      const targetTime = new_time || appointment.time;
+
+      const result = await updateAppointment({
+        tenant_id,
+        booking_id: appointment.booking_id,
+        new_date: targetDate,
+        new_time,
+        actor
+      });
+
+      if (result.success) {
+        movedIds.push(appointment.booking_id);
+      } else {
+        const serviceIds = getAppointmentItems(appointment).map(item => item.service_id);
+
+        failed.push({
+          booking_id: appointment.booking_id,
+          date: targetDate,
+          time: targetTime,
+          reason: result.message,
+          alternatives: await findAlternatives(tenant_id, targetDate, targetTime, serviceIds, series.stylist_id)
+        });
+      }
+    }
+
+    if (movedIds.length > 0) {
+      await updateSeries(tenant_id, series_id, {
+        time: new_time || series.time,
+        shifted_days: (series.shifted_days || 0) + shift_days
+      });
+    }
+
+    const appointmentsCol = database.getCollection(tenant_id, 'appointments');
+    const moved = await appointmentsCol.find({
+      tenant_id,
+      booking_id: { $in: movedIds }
+    }).sort({ date: 1 }).toArray();
+
+    return formatSeriesUpdateResponse(series_id, 'reschedule', moved, failed, tenant_id);
+
+  } catch (error) {
+    console.error('Reschedule series error:', error);
+    return formatError('حدث خطأ أثناء تعديل المواعيد المتكررة');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const rescheduleSeriesTool = {
+  name: 'reschedule_series',
+  description: 'Move all upcoming appointments of a recurring series to a new time and/or another weekday',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      series_id: {
+        type: 'string',
+        description: 'Series ID returned by book_recurring'
+      },
+      new_time: {
+        type: 'string',
+        description: 'New time for every occurrence (HH:MM, optional)'
+      },
+      shift_days: {
+        type: 'integer',
+        description: 'Move every occurrence by this many days, e.g. 1 moves Monday to Tuesday (-6 to 6, optional)'
+      }
+    },
+    required: ['tenant_id', 'series_id']
+  }
+};
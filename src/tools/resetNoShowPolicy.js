@@ -0,0 +1,68 @@
+/**
+ * Reset No-Show Policy Tool
+ * Staff override lifting a customer's no-show policy deposit or block
+ *
+ * A separate tool so that customer-facing API keys (e.g. the WhatsApp agent) are not granted it.
+ */
+
+import { validatePhone } from '../services/validator.js';
+import { updateCustomer as saveCustomer } from '../services/customerProfiles.js';
+import { getReliability } from '../services/noShowPolicy.js';
+import { normalizeActor } from '../services/appointmentEvents.js';
+import { formatCustomerProfile, formatError } from '../utils/responseFormatter.js';
+import { getTimestamp } from '../utils/dateHelpers.js';
+
+/**
+ * Reset a customer's no-show policy, so only later no-shows and late cancellations count
+ * @param {Object} params - Reset parameters
+ * @returns {Promise<Object>} Customer profile response
+ */
+export async function resetNoShowPolicy(params) {
+  const { tenant_id, phone_number, actor = null } = params;
+
+  try {
+    const phoneValidation = validatePhone(phone_number, tenant_id);
+    if (!phoneValidation.valid) {
+      return formatError(phoneValidation.error);
+    }
+
+    const customer = await saveCustomer(tenant_id, phoneValidation.formatted, {
+      no_show_policy_reset_at: getTimestamp(),
+      no_show_policy_reset_by: normalizeActor(actor)
+    });
+
+    if (!customer) {
+      return formatError('العميل غير مسجل');
+    }
+
+    const reliability = await getReliability(tenant_id, customer.phone_number, customer);
+
+    return formatCustomerProfile(customer, tenant_id, 'تم رفع قيود سياسة عدم الحضور عن العميل', reliability);
+
+  } catch (error) {
+    console.error('Reset no-show policy error:', error);
+    return formatError('حدث خطأ أثناء تحديث بيانات العميل');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const resetNoShowPolicyTool = {
+  name: 'reset_no_show_policy',
+  description: "Staff only: lift a customer's no-show policy deposit or block, so only later no-shows and late cancellations count. Do not grant this tool to customer-facing API keys",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number, international or local format'
+      }
+    },
+    required: ['tenant_id', 'phone_number']
+  }
+};
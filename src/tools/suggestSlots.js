@@ -0,0 +1,106 @@
+/**
+ * Suggest Slots Tool
+ * Returns free slots closest to a requested date and time
+ */
+
+import dayjs from 'dayjs';
+import { validatePhone, validateServices } from '../services/validator.js';
+import { suggestSlots as findSuggestions } from '../services/suggestions.js';
+import { formatSuggestionsResponse, formatError } from '../utils/responseFormatter.js';
+
+/**
+ * Suggest alternative slots for a requested time
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Suggestions response
+ */
+export async function suggestSlots(params) {
+  const { tenant_id, date, time, service_id, service_ids, stylist_id = null, phone_number, limit = 5 } = params;
+
+  try {
+    if (!dayjs(date, 'YYYY-MM-DD', true).isValid()) {
+      return formatError('التاريخ غير صحيح');
+    }
+
+    if (!dayjs(time, 'HH:mm', true).isValid()) {
+      return formatError('الوقت غير صحيح');
+    }
+
+    const serviceValidation = validateServices(tenant_id, service_ids || [service_id]);
+    if (!serviceValidation.valid) {
+      return formatError(serviceValidation.error);
+    }
+
+    // The phone is optional; it only adds the customer's usual stylist to the search
+    let phoneNumber = null;
+    if (phone_number) {
+      const phoneValidation = validatePhone(phone_number, tenant_id);
+      if (!phoneValidation.valid) {
+        return formatError(phoneValidation.error);
+      }
+      phoneNumber = phoneValidation.formatted;
+    }
+
+    const { service, services } = serviceValidation;
+    const suggestions = await findSuggestions(tenant_id, {
+      date,
+      time,
+      service,
+      services,
+      stylistId: stylist_id,
+      phoneNumber
+    }, Math.min(Math.max(parseInt(limit, 10) || 5, 1), 10));
+
+    return formatSuggestionsResponse(suggestions, date, time, service);
+
+  } catch (error) {
+    console.error('Suggest slots error:', error);
+    return formatError('حدث خطأ أثناء البحث عن مواعيد بديلة');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const suggestSlotsTool = {
+  name: 'suggest_slots',
+  description: "Suggest free slots closest to a requested date and time: nearby times the same day, the same time on the following days, and times with the customer's usual stylist",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      date: {
+        type: 'string',
+        description: 'Requested date (YYYY-MM-DD)'
+      },
+      time: {
+        type: 'string',
+        description: 'Requested time (HH:MM in 24h format)'
+      },
+      service_id: {
+        type: 'string',
+        description: 'Service ID'
+      },
+      service_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Several service IDs for one visit, in order (use instead of service_id)'
+      },
+      stylist_id: {
+        type: 'string',
+        description: 'Only suggest slots with this stylist, plus other stylists at the requested time (optional)'
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number, to include their usual stylist (optional)'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum suggestions (1-10, default 5)'
+      }
+    },
+    required: ['tenant_id', 'date', 'time']
+  }
+};
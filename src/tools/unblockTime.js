@@ -0,0 +1,56 @@
+/**
+ * Unblock Time Tool
+ * Remove a staff-created time block
+ */
+
+import { deleteBlockedSlot } from '../services/blockedSlots.js';
+import { formatUnblockResponse, formatError } from '../utils/responseFormatter.js';
+
+/**
+ * Remove a time block
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} Unblock result
+ */
+export async function unblockTime(params) {
+  const { tenant_id, block_id } = params;
+
+  try {
+    if (!block_id) {
+      return formatError('رقم الحجب غير صحيح');
+    }
+
+    const block = await deleteBlockedSlot(tenant_id, block_id);
+
+    if (!block) {
+      return formatError('رقم الحجب غير موجود');
+    }
+
+    return formatUnblockResponse(block, tenant_id);
+
+  } catch (error) {
+    console.error('Unblock time error:', error);
+    return formatError('حدث خطأ أثناء إلغاء حجب الوقت');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const unblockTimeTool = {
+  name: 'unblock_time',
+  description: 'Remove a time block created with block_time',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      block_id: {
+        type: 'string',
+        description: 'Block ID returned by block_time'
+      }
+    },
+    required: ['tenant_id', 'block_id']
+  }
+};
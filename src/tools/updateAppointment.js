@@ -3,11 +3,18 @@
  * Modify an existing appointment
  */
 
-import dayjs from 'dayjs';
-import { validateBookingId, validateDate, validateTime, validateService } from '../services/validator.js';
-import { isSlotAvailable, calculateEndTime } from '../services/scheduler.js';
+import { validateBookingId, validateDate, validateTime, validateService, validateLeadTime } from '../services/validator.js';
+import { isSlotAvailable, calculateEndTime, getVisitDates } from '../services/scheduler.js';
 import { formatUpdateResponse, formatError } from '../utils/responseFormatter.js';
-import { getTimestamp } from '../utils/dateHelpers.js';
+import { getTimestamp, getAppointmentInstants } from '../utils/dateHelpers.js';
+import { buildAppointmentItems, getAppointmentItems, getItemsTotal } from '../utils/appointmentItems.js';
+import { promoteWaitlist } from '../services/waitlist.js';
+import { withDateLock } from '../services/concurrency.js';
+import { getBlockedSlots } from '../services/blockedSlots.js';
+import { UPCOMING_STATUSES, STATUS_LABELS } from '../services/appointmentStatus.js';
+import { recordAppointmentEvent } from '../services/appointmentEvents.js';
+import { checkReschedulePolicy } from '../services/reschedulePolicy.js';
+import { buildPaymentFields } from '../services/payments.js';
 import database from '../services/database.js';
 
 /**
@@ -22,7 +29,8 @@ export async function updateAppointment(params) {
     new_date,
     new_time,
     new_service_id,
-    new_notes
+    new_notes,
+    actor = null
   } = params;
 
   try {
@@ -48,81 +56,164 @@ export async function updateAppointment(params) {
       return formatError('لا يمكن تعديل موعد ملغي');
     }
 
-    // Prepare update object
-    const updates = {
-      updated_at: getTimestamp()
-    };
+    if (appointment.status === 'expired') {
+      return formatError('انتهت صلاحية هذا الحجز لعدم دفع العربون');
+    }
+
+    // Checked-in, completed and no-show appointments are history
+    if (!UPCOMING_STATUSES.includes(appointment.status)) {
+      return formatError(`لا يمكن تعديل موعد حالته "${STATUS_LABELS[appointment.status]}"`);
+    }
+
+    const targetDate = new_date || appointment.date;
+    const targetTime = new_time || appointment.time;
+    const moved = targetDate !== appointment.date || targetTime !== appointment.time;
+
+    // A new service replaces the whole visit with that one service
+    let services = getItemServices(getAppointmentItems(appointment));
+    if (new_service_id) {
+      const serviceValidation = validateService(tenant_id, new_service_id);
+      if (!serviceValidation.valid) {
+        return formatError(serviceValidation.error);
+      }
+
+      // A deposit already (partly) paid was taken for the booked service
+      if (appointment.amount_paid > 0) {
+        return formatError('لا يمكن تغيير خدمة حجز تم دفع عربونه. يرجى التواصل مع الصالون');
+      }
+      services = [serviceValidation.service];
+    }
+    const duration = services.reduce((total, service) => total + service.duration_minutes, 0);
 
-    // Update date and/or time
-    if (new_date || new_time) {
-      const targetDate = new_date || appointment.date;
-      const targetTime = new_time || appointment.time;
-      const serviceDuration = new_service_id
-        ? (await getServiceDuration(tenant_id, new_service_id))
-        : appointment.service_duration;
+    // Moving the appointment is subject to the reschedule policy
+    let policy = null;
+    if (moved) {
+      policy = checkReschedulePolicy(tenant_id, appointment, targetDate);
+      if (!policy.allowed) {
+        return formatError(policy.error);
+      }
 
-      // Validate new date
       if (new_date) {
         const dateValidation = validateDate(tenant_id, new_date);
         if (!dateValidation.valid) {
           return formatError(dateValidation.error);
         }
+      }
 
-        // Validate new time
-        const timeValidation = validateTime(tenant_id, targetTime, dateValidation.dayName);
-        if (!timeValidation.valid) {
-          return formatError(timeValidation.error);
-        }
+      const blockedSlots = await getBlockedSlots(tenant_id, targetDate);
+      const timeValidation = validateTime(tenant_id, targetTime, targetDate, blockedSlots);
+      if (!timeValidation.valid) {
+        return formatError(timeValidation.error);
+      }
 
-        updates.date = new_date;
+      const leadTimeValidation = validateLeadTime(tenant_id, targetDate, targetTime);
+      if (!leadTimeValidation.valid) {
+        return formatError(leadTimeValidation.error);
       }
+    }
+
+    // Check and write under the date lock(s) so concurrent changes cannot overbook;
+    // a visit running past midnight locks the next date too
+    const lockDates = [appointment.date, ...getVisitDates(tenant_id, targetDate, targetTime, services)];
+    const result = await withDateLock(tenant_id, [...new Set(lockDates)], async () => {
+      // Prepare update object
+      const updates = {
+        updated_at: getTimestamp()
+      };
 
-      if (new_time) {
-        updates.time = new_time;
+      if (moved || new_service_id) {
+        // Same capacity check and stylist assignment as a new booking, without the
+        // appointment counting against itself; its stylist is kept when free
+        const slotCheck = await isSlotAvailable(tenant_id, targetDate, targetTime, duration, {
+          serviceId: services[0].id,
+          services,
+          preferredStylistId: appointment.stylist_id,
+          phoneNumber: appointment.phone_number,
+          excludeBookingId: booking_id
+        });
+
+        if (!slotCheck.available) {
+          return { error: slotCheck.error };
+        }
+
+        // Keep the line items, stylists and UTC instants in step with the visit
+        const items = buildAppointmentItems(services, targetTime, slotCheck.stylists || []);
+        const stylistNames = [...new Set(items.map(item => item.stylist_name).filter(Boolean))];
+
+        Object.assign(updates, {
+          stylist_id: slotCheck.stylist?.id || null,
+          stylist_name: stylistNames.length > 0 ? stylistNames.join('، ') : null,
+          items,
+          total_price: getItemsTotal(items),
+          end_time: calculateEndTime(targetTime, duration),
+          ...getAppointmentInstants(tenant_id, targetDate, targetTime, duration)
+        });
       }
 
-      // Check slot availability (exclude current appointment)
-      const slotCheck = await isSlotAvailableExcluding(
-        tenant_id,
-        targetDate,
-        targetTime,
-        serviceDuration,
-        booking_id
-      );
+      if (moved) {
+        updates.date = targetDate;
+        updates.time = targetTime;
+
+        // The new slot needs its own reminder
+        updates.reminder_sent_at = null;
 
-      if (!slotCheck.available) {
-        return formatError(slotCheck.error);
+        updates.reschedule_count = (appointment.reschedule_count || 0) + 1;
+        updates.rescheduled_at = updates.updated_at;
+        updates.original_date = appointment.original_date || appointment.date;
+        updates.original_time = appointment.original_time || appointment.time;
+
+        if (policy.lateCancellation) {
+          updates.late_cancellation = true;
+          updates.late_cancellation_at = updates.updated_at;
+        }
       }
 
-      updates.end_time = calculateEndTime(targetTime, serviceDuration);
-    }
+      // Update service
+      if (new_service_id) {
+        const [service] = services;
+        updates.service_id = service.id;
+        updates.service_ids = [service.id];
+        updates.service_name = service.name;
+        updates.service_duration = service.duration_minutes;
+        updates.currency = service.currency || 'KWD';
 
-    // Update service
-    if (new_service_id) {
-      const serviceValidation = validateService(tenant_id, new_service_id);
-      if (!serviceValidation.valid) {
-        return formatError(serviceValidation.error);
+        // A deposit still awaiting payment is recalculated for the new service at the
+        // percentage it was booked with, with a new payment deadline
+        if (appointment.payment_status === 'unpaid') {
+          Object.assign(updates, {
+            deposit_amount: 0,
+            payment_due_at: null,
+            ...buildPaymentFields(tenant_id, service, appointment.deposit_percentage ?? null)
+          });
+        }
       }
 
-      updates.service_id = new_service_id;
-      updates.service_name = serviceValidation.service.name;
-      updates.service_duration = serviceValidation.service.duration_minutes;
+      // Update notes
+      if (new_notes !== undefined) {
+        updates.notes = new_notes.trim();
+      }
 
-      // Recalculate end time
-      const targetTime = updates.time || appointment.time;
-      updates.end_time = calculateEndTime(targetTime, serviceValidation.service.duration_minutes);
-    }
+      // Apply updates
+      await appointmentsCol.updateOne(
+        { booking_id, tenant_id },
+        { $set: updates }
+      );
+
+      return {};
+    });
 
-    // Update notes
-    if (new_notes !== undefined) {
-      updates.notes = new_notes.trim();
+    if (result.error) {
+      return formatError(result.error);
     }
 
-    // Apply updates
-    await appointmentsCol.updateOne(
-      { booking_id, tenant_id },
-      { $set: updates }
-    );
+    // Moving or shortening the booking may free capacity for the waitlist
+    if (new_date || new_time || new_service_id) {
+      try {
+        await promoteWaitlist(tenant_id, appointment.date);
+      } catch (error) {
+        console.error('Waitlist promotion error:', error);
+      }
+    }
 
     // Fetch updated appointment
     const updatedAppointment = await appointmentsCol.findOne({
@@ -130,6 +221,8 @@ export async function updateAppointment(params) {
       tenant_id
     });
 
+    await recordAppointmentEvent(tenant_id, 'update', appointment, updatedAppointment, actor);
+
     return formatUpdateResponse(updatedAppointment, tenant_id);
 
   } catch (error) {
@@ -139,57 +232,18 @@ export async function updateAppointment(params) {
 }
 
 /**
- * Get service duration
- * @param {string} tenantId - Tenant identifier
- * @param {string} serviceId - Service ID
- * @returns {Promise<number>} Duration in minutes
- */
-async function getServiceDuration(tenantId, serviceId) {
-  const serviceValidation = validateService(tenantId, serviceId);
-  if (!serviceValidation.valid) {
-    throw new Error('Invalid service');
-  }
-  return serviceValidation.service.duration_minutes;
-}
-
-/**
- * Check slot availability excluding a specific appointment
- * @param {string} tenantId - Tenant identifier
- * @param {string} date - Date string
- * @param {string} time - Time string
- * @param {number} duration - Duration in minutes
- * @param {string} excludeBookingId - Booking ID to exclude
- * @returns {Promise<{available: boolean, error?: string}>}
+ * Get the services of a visit's line items, keeping the prices they were booked at
+ * @param {Array<Object>} items - Current line items
+ * @returns {Array<Object>} Services in visit order
  */
-async function isSlotAvailableExcluding(tenantId, date, time, duration, excludeBookingId) {
-  const appointmentsCol = database.getCollection(tenantId, 'appointments');
-
-  const existingAppointments = await appointmentsCol.find({
-    date,
-    status: { $in: ['confirmed', 'pending'] },
-    booking_id: { $ne: excludeBookingId }
-  }).toArray();
-
-  const slotStart = dayjs(`${date} ${time}`, 'YYYY-MM-DD HH:mm');
-  const slotEnd = slotStart.add(duration, 'minute');
-
-  for (const apt of existingAppointments) {
-    const aptStart = dayjs(`${apt.date} ${apt.time}`, 'YYYY-MM-DD HH:mm');
-    const aptEnd = dayjs(`${apt.date} ${apt.end_time}`, 'YYYY-MM-DD HH:mm');
-
-    if (
-      (slotStart.isSameOrAfter(aptStart) && slotStart.isBefore(aptEnd)) ||
-      (slotEnd.isAfter(aptStart) && slotEnd.isSameOrBefore(aptEnd)) ||
-      (slotStart.isSameOrBefore(aptStart) && slotEnd.isSameOrAfter(aptEnd))
-    ) {
-      return {
-        available: false,
-        error: 'عذراً، هذا الموعد محجوز مسبقاً'
-      };
-    }
-  }
-
-  return { available: true };
+function getItemServices(items) {
+  return items.map(item => ({
+    id: item.service_id,
+    name: item.service_name,
+    duration_minutes: item.duration_minutes,
+    price: item.price,
+    currency: item.currency
+  }));
 }
 
 /**
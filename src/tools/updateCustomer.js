@@ -0,0 +1,113 @@
+/**
+ * Update Customer Tool
+ * Edit a customer's name, notes and preferences
+ */
+
+import { validatePhone } from '../services/validator.js';
+import { updateCustomer as saveCustomer } from '../services/customerProfiles.js';
+import { getReliability } from '../services/noShowPolicy.js';
+import { getStylist } from '../services/tenantLoader.js';
+import { formatCustomerProfile, formatError } from '../utils/responseFormatter.js';
+
+/**
+ * Update a customer profile
+ * @param {Object} params - Update parameters
+ * @returns {Promise<Object>} Customer profile response
+ */
+export async function updateCustomer(params) {
+  const {
+    tenant_id,
+    phone_number,
+    customer_name,
+    notes,
+    preferred_stylist_id,
+    preferred_language
+  } = params;
+
+  try {
+    const phoneValidation = validatePhone(phone_number, tenant_id);
+    if (!phoneValidation.valid) {
+      return formatError(phoneValidation.error);
+    }
+
+    const fields = {};
+
+    if (customer_name !== undefined) {
+      if (customer_name.trim().length < 2) {
+        return formatError('الرجاء إدخال اسم العميل');
+      }
+      fields.customer_name = customer_name.trim();
+    }
+
+    if (notes !== undefined) {
+      fields.notes = notes.trim();
+    }
+
+    if (preferred_stylist_id !== undefined) {
+      if (preferred_stylist_id && !getStylist(tenant_id, preferred_stylist_id)) {
+        return formatError('الكوافيرة المطلوبة غير موجودة');
+      }
+      fields.preferred_stylist_id = preferred_stylist_id || null;
+    }
+
+    if (preferred_language !== undefined) {
+      if (preferred_language && !['ar', 'en'].includes(preferred_language)) {
+        return formatError('اللغة غير مدعومة');
+      }
+      fields.preferred_language = preferred_language || null;
+    }
+
+    const customer = await saveCustomer(tenant_id, phoneValidation.formatted, fields);
+
+    if (!customer) {
+      return formatError('العميل غير مسجل');
+    }
+
+    const reliability = await getReliability(tenant_id, customer.phone_number, customer);
+
+    return formatCustomerProfile(customer, tenant_id, 'تم تحديث بيانات العميل بنجاح', reliability);
+
+  } catch (error) {
+    console.error('Update customer error:', error);
+    return formatError('حدث خطأ أثناء تحديث بيانات العميل');
+  }
+}
+
+/**
+ * MCP Tool Definition
+ */
+export const updateCustomerTool = {
+  name: 'update_customer',
+  description: "Update a customer's name, notes or preferences",
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tenant_id: {
+        type: 'string',
+        description: 'Salon identifier'
+      },
+      phone_number: {
+        type: 'string',
+        description: 'Customer phone number, international or local format'
+      },
+      customer_name: {
+        type: 'string',
+        description: 'Customer name (optional)'
+      },
+      notes: {
+        type: 'string',
+        description: 'Notes about the customer, e.g. allergies or hair type (optional)'
+      },
+      preferred_stylist_id: {
+        type: 'string',
+        description: 'Preferred stylist ID (optional, empty string to clear)'
+      },
+      preferred_language: {
+        type: 'string',
+        enum: ['ar', 'en'],
+        description: 'Preferred language (optional)'
+      }
+    },
+    required: ['tenant_id', 'phone_number']
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Appointment Line Items
+ * A visit may combine several services back to back, each with its own stylist.
+ * Every booking stores them in `items`; bookings made before multi-service visits
+ * are read as a single item built from the top-level fields.
+ */
+
+import { addMinutesToTime } from './dateHelpers.js';
+
+/**
+ * Build line items for services booked back to back from a start time
+ * @param {Array<Object>} services - Services in visit order
+ * @param {string} time - Visit start time (HH:mm)
+ * @param {Array<{id: string, name: string}|null>} stylists - Stylist for each service (null when unassigned)
+ * @returns {Array<Object>} Line items
+ */
+export function buildAppointmentItems(services, time, stylists) {
+  let start = time;
+
+  return services.map((service, index) => {
+    const stylist = stylists[index] || null;
+    const item = {
+      service_id: service.id,
+      service_name: service.name,
+      duration_minutes: service.duration_minutes,
+      price: service.price ?? null,
+      currency: service.currency || 'KWD',
+      stylist_id: stylist?.id || null,
+      stylist_name: stylist?.name || null,
+      time: start,
+      end_time: addMinutesToTime(start, service.duration_minutes)
+    };
+
+    start = item.end_time;
+    return item;
+  });
+}
+
+/**
+ * Get an appointment's line items
+ * @param {Object} appointment - Appointment document
+ * @returns {Array<Object>} Line items
+ */
+export function getAppointmentItems(appointment) {
+  if (appointment.items?.length) {
+    return appointment.items;
+  }
+
+  return [{
+    service_id: appointment.service_id,
+    service_name: appointment.service_name,
+    duration_minutes: appointment.service_duration,
+    price: null,
+    currency: null,
+    stylist_id: appointment.stylist_id || null,
+    stylist_name: appointment.stylist_name || null,
+    time: appointment.time,
+    end_time: appointment.end_time
+  }];
+}
+
+/**
+ * Sum the prices of line items
+ * @param {Array<Object>} items - Line items
+ * @returns {number|null} Total price, or null when no item has a price
+ */
+export function getItemsTotal(items) {
+  const priced = items.filter(item => item.price !== null && item.price !== undefined);
+  if (priced.length === 0) {
+    return null;
+  }
+
+  // KWD has 3 decimal places (fils)
+  return Math.round(priced.reduce((sum, item) => sum + item.price, 0) * 1000) / 1000;
+}
@@ -1,52 +1,119 @@
 /**
  * Date and Time Helper Utilities
- * Handles Kuwait timezone operations using dayjs
+ * Handles tenant timezone operations using dayjs
+ * Every "now" and date/time parse goes through the tenant's settings.timezone,
+ * so results do not depend on the server's TZ.
  */
 
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
 import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import { loadTenantConfig } from '../services/tenantLoader.js';
 
 // Extend dayjs with plugins
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(customParseFormat);
 
-// Set default timezone to Kuwait
-dayjs.tz.setDefault('Asia/Kuwait');
+// Fallback for tenants without settings.timezone
+export const DEFAULT_TIMEZONE = 'Asia/Kuwait';
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+dayjs.tz.setDefault(DEFAULT_TIMEZONE);
+
+/**
+ * Get the IANA timezone for a tenant
+ * @param {string} [tenantId] - Tenant identifier (default timezone when omitted)
+ * @returns {string} Timezone name (e.g., 'Asia/Riyadh')
+ */
+export function getTenantTimezone(tenantId = null) {
+  if (!tenantId) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  return loadTenantConfig(tenantId).settings.timezone || DEFAULT_TIMEZONE;
+}
 
 /**
- * Get current date in Kuwait timezone
+ * Get current date in the tenant's timezone
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {string} Date string (YYYY-MM-DD)
  */
-export function getCurrentDate() {
-  return dayjs().tz('Asia/Kuwait').format('YYYY-MM-DD');
+export function getCurrentDate(tenantId = null) {
+  return now(tenantId).format('YYYY-MM-DD');
 }
 
 /**
- * Get current time in Kuwait timezone
+ * Get current time in the tenant's timezone
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {string} Time string (HH:mm)
  */
-export function getCurrentTime() {
-  return dayjs().tz('Asia/Kuwait').format('HH:mm');
+export function getCurrentTime(tenantId = null) {
+  return now(tenantId).format('HH:mm');
 }
 
 /**
- * Get current datetime in Kuwait timezone
- * @returns {Object} Dayjs object in Kuwait timezone
+ * Get current datetime in the tenant's timezone
+ * @param {string} [tenantId] - Tenant identifier
+ * @returns {Object} Dayjs object in the tenant's timezone
  */
-export function now() {
-  return dayjs().tz('Asia/Kuwait');
+export function now(tenantId = null) {
+  return dayjs().tz(getTenantTimezone(tenantId));
 }
 
 /**
- * Parse date string in Kuwait timezone
+ * Parse date string in the tenant's timezone
  * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {Object} Dayjs object
  */
-export function parseDate(dateStr) {
-  return dayjs.tz(dateStr, 'YYYY-MM-DD', 'Asia/Kuwait');
+export function parseDate(dateStr, tenantId = null) {
+  return dayjs.tz(dateStr, 'YYYY-MM-DD', getTenantTimezone(tenantId));
+}
+
+/**
+ * Parse a local date and time in the tenant's timezone
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} timeStr - Time string (HH:mm)
+ * @param {string} [tenantId] - Tenant identifier
+ * @returns {Object} Dayjs object pointing at the absolute instant
+ */
+export function parseDateTime(dateStr, timeStr, tenantId = null) {
+  return dayjs.tz(`${dateStr} ${timeStr}`, 'YYYY-MM-DD HH:mm', getTenantTimezone(tenantId));
+}
+
+/**
+ * Get the absolute start of an appointment
+ * Uses the stored UTC instant, falling back to the local date/time for older bookings
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} appointment - Appointment object
+ * @returns {Object} Dayjs object
+ */
+export function getAppointmentStart(tenantId, appointment) {
+  if (appointment.starts_at) {
+    return dayjs(appointment.starts_at);
+  }
+
+  return parseDateTime(appointment.date, appointment.time, tenantId);
+}
+
+/**
+ * Build the UTC instants stored alongside an appointment's local date/time
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} timeStr - Start time (HH:mm)
+ * @param {number} durationMinutes - Appointment duration
+ * @returns {{starts_at: string, ends_at: string}} ISO 8601 UTC timestamps
+ */
+export function getAppointmentInstants(tenantId, dateStr, timeStr, durationMinutes) {
+  const start = parseDateTime(dateStr, timeStr, tenantId);
+
+  return {
+    starts_at: start.toISOString(),
+    ends_at: start.add(durationMinutes, 'minute').toISOString()
+  };
 }
 
 /**
@@ -91,29 +158,27 @@ export function getDayNameArabic(dateStr) {
 }
 
 /**
- * Check if date is today
+ * Check if date is today in the tenant's timezone
  * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {boolean}
  */
-export function isToday(dateStr) {
-  const date = parseDate(dateStr);
-  const today = now().startOf('day');
-  return date.isSame(today, 'day');
+export function isToday(dateStr, tenantId = null) {
+  return dateStr === getCurrentDate(tenantId);
 }
 
 /**
- * Check if date is in the future
+ * Check if date is in the future in the tenant's timezone
  * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {boolean}
  */
-export function isFutureDate(dateStr) {
-  const date = parseDate(dateStr);
-  const today = now().startOf('day');
-  return date.isAfter(today, 'day');
+export function isFutureDate(dateStr, tenantId = null) {
+  return dateStr > getCurrentDate(tenantId);
 }
 
 /**
- * Get ISO timestamp for Kuwait timezone
+ * Get current ISO timestamp (UTC)
  * @returns {string} ISO 8601 timestamp
  */
 export function getTimestamp() {
@@ -123,12 +188,11 @@ export function getTimestamp() {
 /**
  * Calculate days until appointment
  * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} [tenantId] - Tenant identifier
  * @returns {number} Number of days
  */
-export function daysUntil(dateStr) {
-  const date = parseDate(dateStr);
-  const today = now().startOf('day');
-  return date.diff(today, 'day');
+export function daysUntil(dateStr, tenantId = null) {
+  return dayjs(dateStr).diff(dayjs(getCurrentDate(tenantId)), 'day');
 }
 
 /**
@@ -141,3 +205,25 @@ export function addMinutesToTime(timeStr, minutes) {
   const time = parseTime(timeStr);
   return time.add(minutes, 'minute').format('HH:mm');
 }
+
+/**
+ * Convert a time string to minutes after midnight
+ * @param {string} timeStr - Time string (HH:mm)
+ * @returns {number} Minutes (0-1439)
+ */
+export function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as a time string
+ * Values past midnight (or before it) wrap around, so 1530 gives '01:30'.
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time string (HH:mm)
+ */
+export function minutesToTime(minutes) {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60).toString().padStart(2, '0');
+  return `${hours}:${(wrapped % 60).toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Message Templates
+ * Renders bilingual (Arabic + English) customer messages from per-tenant templates
+ */
+
+import { formatDateArabic, getDayNameArabic, parseDate } from './dateHelpers.js';
+import { loadTenantConfig } from '../services/tenantLoader.js';
+import { getAppointmentItems } from './appointmentItems.js';
+
+// Used when a tenant does not define `whatsapp.templates`
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    ar: 'تم تأكيد موعدك في {salon_name} يوم {day} {date} الساعة {time} لخدمة {service}. رقم الحجز: {booking_id}',
+    en: 'Your {service_en} appointment at {salon_name_en} on {day_en} {date} at {time} is confirmed. Booking ID: {booking_id}'
+  },
+  reminder: {
+    ar: 'تذكير: موعدك في {salon_name} يوم {day} {date} الساعة {time} لخدمة {service}. رقم الحجز: {booking_id}. للاستفسار: {salon_phone}',
+    en: 'Reminder: your {service_en} appointment at {salon_name_en} is on {day_en} {date} at {time}. Booking ID: {booking_id}. Questions: {salon_phone}'
+  },
+  waitlist_offer: {
+    ar: 'أصبح موعد متاحاً في {salon_name} يوم {day} {date} الساعة {time} لخدمة {service}. الموعد محجوز لك حتى الساعة {hold_until}، يرجى تأكيد الحجز قبل ذلك. رقم قائمة الانتظار: {waitlist_id}',
+    en: 'A {service_en} slot opened at {salon_name_en} on {day_en} {date} at {time}. It is held for you until {hold_until}; please book it before then. Waitlist ID: {waitlist_id}'
+  }
+};
+
+/**
+ * Render a message for an appointment
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} type - Template type ('confirmation', 'reminder' or 'waitlist_offer')
+ * @param {Object} appointment - Appointment object (or waitlist entry with the offered time)
+ * @returns {string} Arabic text followed by English text
+ */
+export function renderMessage(tenantId, type, appointment) {
+  const config = loadTenantConfig(tenantId);
+  const template = config.whatsapp?.templates?.[type] || DEFAULT_TEMPLATES[type];
+
+  if (!template) {
+    throw new Error(`Unknown message template: ${type}`);
+  }
+
+  const serviceNamesEn = getAppointmentItems(appointment).map(item =>
+    config.services.find(s => s.id === item.service_id)?.name_en || item.service_name
+  );
+
+  const values = {
+    customer_name: appointment.customer_name,
+    booking_id: appointment.booking_id,
+    service: appointment.service_name,
+    service_en: serviceNamesEn.join(' + '),
+    stylist: appointment.stylist_name || '',
+    date: formatDateArabic(appointment.date),
+    day: getDayNameArabic(appointment.date),
+    day_en: parseDate(appointment.date).format('dddd'),
+    time: appointment.time,
+    salon_name: config.salon_info.name,
+    salon_name_en: config.salon_info.name_en || config.salon_info.name,
+    salon_phone: config.salon_info.phone,
+    waitlist_id: appointment.waitlist_id || '',
+    hold_until: appointment.hold_until || ''
+  };
+
+  return [template.ar, template.en]
+    .filter(Boolean)
+    .map(text => fillPlaceholders(text, values))
+    .join('\n\n');
+}
+
+/**
+ * Replace {placeholder} tokens with values (unknown tokens are left as-is)
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function fillPlaceholders(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
@@ -5,37 +5,109 @@
 
 import { formatDateArabic, getDayNameArabic } from './dateHelpers.js';
 import { loadTenantConfig } from '../services/tenantLoader.js';
+import { rankCounts, getPreferredStylistId } from '../services/customerProfiles.js';
+import { STATUS_LABELS } from '../services/appointmentStatus.js';
+import { getAppointmentItems, getItemsTotal } from './appointmentItems.js';
 
 /**
  * Format successful booking response
  * @param {Object} appointment - Appointment object
  * @param {string} tenantId - Tenant identifier
+ * @param {string|null} [depositReason=null] - Why this customer was asked for a deposit
  * @returns {Object} Formatted response
  */
-export function formatBookingSuccess(appointment, tenantId) {
+export function formatBookingSuccess(appointment, tenantId, depositReason = null) {
   const config = loadTenantConfig(tenantId);
 
+  if (appointment.status === 'pending') {
+    const minutes = config.settings.deposit_expiry_minutes || 60;
+
+    return {
+      success: true,
+      booking_id: appointment.booking_id,
+      status: 'pending',
+      message: `تم حجز موعدك مبدئياً في ${config.salon_info.name}. يرجى دفع العربون ${appointment.deposit_amount} ${appointment.deposit_currency} خلال ${minutes} دقيقة لتأكيد الحجز`,
+      deposit_reason: depositReason,
+      deposit: formatDeposit(appointment),
+      details: formatBookingDetails(appointment, config)
+    };
+  }
+
   return {
     success: true,
     booking_id: appointment.booking_id,
     message: `تم حجز موعدك بنجاح في ${config.salon_info.name}`,
-    details: {
-      customer_name: appointment.customer_name,
-      service: appointment.service_name,
-      date: formatDateArabic(appointment.date),
-      day: getDayNameArabic(appointment.date),
-      time: appointment.time,
-      duration: `${appointment.service_duration} دقيقة`,
-      salon_name: config.salon_info.name,
-      salon_phone: config.salon_info.phone,
-      booking_id: appointment.booking_id
-    }
+    details: formatBookingDetails(appointment, config)
+  };
+}
+
+/**
+ * Format booking details block
+ * @param {Object} appointment - Appointment object
+ * @param {Object} config - Tenant configuration
+ * @returns {Object} Booking details
+ */
+function formatBookingDetails(appointment, config) {
+  return {
+    customer_name: appointment.customer_name,
+    service: appointment.service_name,
+    date: formatDateArabic(appointment.date),
+    day: getDayNameArabic(appointment.date),
+    time: appointment.time,
+    duration: `${appointment.service_duration} دقيقة`,
+    stylist: appointment.stylist_name || null,
+    ...formatLineItems(appointment),
+    salon_name: config.salon_info.name,
+    salon_phone: config.salon_info.phone,
+    booking_id: appointment.booking_id
+  };
+}
+
+/**
+ * Format the services of a visit and their total price
+ * @param {Object} appointment - Appointment object
+ * @returns {{services: Array<Object>, total_price: number|null, currency: string|null}}
+ */
+function formatLineItems(appointment) {
+  const items = getAppointmentItems(appointment);
+
+  return {
+    services: items.map(item => ({
+      service_id: item.service_id,
+      service: item.service_name,
+      time: item.time,
+      end_time: item.end_time,
+      duration: `${item.duration_minutes} دقيقة`,
+      stylist: item.stylist_name || null,
+      price: item.price ?? null
+    })),
+    total_price: appointment.total_price ?? getItemsTotal(items),
+    currency: appointment.currency || items[0].currency || null
+  };
+}
+
+/**
+ * Format deposit details
+ * @param {Object} appointment - Appointment object
+ * @returns {Object|null} Deposit details or null when no deposit applies
+ */
+function formatDeposit(appointment) {
+  if (!appointment.deposit_amount) {
+    return null;
+  }
+
+  return {
+    amount: appointment.deposit_amount,
+    currency: appointment.deposit_currency,
+    amount_paid: appointment.amount_paid || 0,
+    payment_status: getPaymentStatusArabic(appointment.payment_status),
+    due_at: appointment.payment_due_at
   };
 }
 
 /**
  * Format available slots response
- * @param {Array<{time: string, available_slots: number}>} slots - Array of time slots with capacity
+ * @param {Array<{time: string, available_slots: number, stylists?: Array}>} slots - Array of time slots with capacity
  * @param {string} date - Date string
  * @param {Object} service - Service object
  * @returns {Object} Formatted response
@@ -50,7 +122,44 @@ export function formatAvailableSlotsResponse(slots, date, service) {
     total_available: slots.length,
     message: slots.length > 0
       ? `يوجد ${slots.length} موعد متاح`
-      : 'لا توجد مواعيد متاحة في هذا التاريخ'
+      : 'لا توجد مواعيد متاحة في هذا التاريخ، يمكنك الانضمام لقائمة الانتظار'
+  };
+}
+
+/**
+ * Format availability range response
+ * `date` stays YYYY-MM-DD so a day can be passed straight to get_available_slots.
+ * @param {Array<Object>} days - Days from scheduler.getAvailabilityRange
+ * @param {Object} service - Service object
+ * @returns {Object} Formatted response
+ */
+export function formatAvailabilityRangeResponse(days, service) {
+  const statusMap = {
+    open: 'متاح',
+    full: 'محجوز بالكامل',
+    closed: 'مغلق'
+  };
+  const openDays = days.filter(day => day.status === 'open').length;
+
+  return {
+    success: true,
+    service: `${service.name} (${service.duration_minutes} دقيقة)`,
+    start_date: formatDateArabic(days[0].date),
+    end_date: formatDateArabic(days[days.length - 1].date),
+    days: days.map(day => ({
+      date: day.date,
+      day: getDayNameArabic(day.date),
+      status: day.status,
+      status_ar: statusMap[day.status],
+      reason: day.reason || null,
+      first_slot: day.slots[0]?.time || null,
+      last_slot: day.slots[day.slots.length - 1]?.time || null,
+      slot_count: day.slots.length
+    })),
+    open_days: openDays,
+    message: openDays > 0
+      ? `يوجد ${openDays} يوم فيه مواعيد متاحة`
+      : 'لا توجد مواعيد متاحة في هذه الفترة'
   };
 }
 
@@ -73,10 +182,14 @@ export function formatAppointmentDetails(appointment, tenantId) {
     time: appointment.time,
     end_time: appointment.end_time,
     duration: `${appointment.service_duration} دقيقة`,
+    stylist: appointment.stylist_name || null,
+    ...formatLineItems(appointment),
     status: getStatusArabic(appointment.status),
     salon_name: config.salon_info.name,
     salon_phone: config.salon_info.phone,
-    notes: appointment.notes || ''
+    notes: appointment.notes || '',
+    series_id: appointment.series_id || null,
+    deposit: formatDeposit(appointment)
   };
 }
 
@@ -120,9 +233,17 @@ export function formatCancellationResponse(appointment, tenantId) {
       service: appointment.service_name,
       date: formatDateArabic(appointment.date),
       time: appointment.time,
+      ...formatLineItems(appointment),
       salon_name: config.salon_info.name,
       cancelled_at: new Date().toISOString()
-    }
+    },
+    refund: appointment.refund_amount > 0
+      ? {
+        amount: appointment.refund_amount,
+        currency: appointment.deposit_currency,
+        status: 'قيد الاسترجاع'
+      }
+      : null
   };
 }
 
@@ -143,6 +264,435 @@ export function formatUpdateResponse(appointment, tenantId) {
   };
 }
 
+/**
+ * Format status change response (check-in, completion, no-show)
+ * @param {Object} appointment - Appointment after the change
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} message - Arabic message
+ * @returns {Object} Formatted response
+ */
+export function formatStatusResponse(appointment, tenantId, message) {
+  return {
+    success: true,
+    message,
+    booking_id: appointment.booking_id,
+    status: getStatusArabic(appointment.status),
+    details: formatAppointmentDetails(appointment, tenantId)
+  };
+}
+
+/**
+ * Format appointment history response
+ * @param {Object} appointment - Appointment object
+ * @param {Array<Object>} events - Events from the appointment events service, oldest first
+ * @returns {Object} Formatted response
+ */
+export function formatHistoryResponse(appointment, events) {
+  return {
+    success: true,
+    message: `سجل الموعد: ${events.length} تغيير`,
+    booking_id: appointment.booking_id,
+    status: getStatusArabic(appointment.status),
+    events: events.map(event => ({
+      action: event.action,
+      action_arabic: getActionArabic(event.action),
+      changed_at: event.created_at,
+      actor: event.actor,
+      changes: event.changes
+    }))
+  };
+}
+
+/**
+ * Format customer profile response
+ * @param {Object} customer - Customer document
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} [message] - Optional message (defaults to a greeting)
+ * @param {Object} [reliability] - Reliability from the no-show policy service
+ * @returns {Object} Formatted response
+ */
+export function formatCustomerProfile(customer, tenantId, message = null, reliability = null) {
+  const config = loadTenantConfig(tenantId);
+  const serviceName = (id) => config.services.find(s => s.id === id)?.name || id;
+  const stylistName = (id) => (config.stylists || []).find(s => s.id === id)?.name || id;
+
+  const favoriteServices = rankCounts(customer.service_counts).map(({ id, count }) => ({
+    service_id: id,
+    service: serviceName(id),
+    count
+  }));
+
+  const preferredStylistId = getPreferredStylistId(customer);
+
+  return {
+    success: true,
+    message: message || (customer.visit_count > 0
+      ? `أهلاً بعودتك ${customer.customer_name}`
+      : `أهلاً ${customer.customer_name}`),
+    customer: {
+      customer_name: customer.customer_name,
+      phone_number: customer.phone_number,
+      visit_count: customer.visit_count || 0,
+      last_visit: customer.last_visit ? formatDateArabic(customer.last_visit) : null,
+      no_show_count: customer.no_show_count || 0,
+      cancellation_count: customer.cancellation_count || 0,
+      favorite_services: favoriteServices,
+      usual_service: favoriteServices[0] || null,
+      preferred_stylist: preferredStylistId
+        ? { id: preferredStylistId, name: stylistName(preferredStylistId) }
+        : null,
+      preferred_language: customer.preferred_language || null,
+      notes: customer.notes || '',
+      reliability: reliability ? formatReliability(reliability) : null
+    }
+  };
+}
+
+/**
+ * Format a customer's reliability and no-show policy restriction
+ * @param {Object} reliability - Reliability from the no-show policy service
+ * @returns {Object} Formatted reliability
+ */
+function formatReliability(reliability) {
+  const { restriction } = reliability;
+
+  return {
+    score: reliability.score,
+    completed: reliability.completed,
+    no_shows: reliability.no_shows,
+    late_cancellations: reliability.late_cancellations,
+    restriction: restriction
+      ? {
+        type: restriction.action === 'block' ? 'الحجز عبر الصالون فقط' : `عربون ${restriction.deposit_percentage}%`,
+        until: formatDateArabic(restriction.until_date)
+      }
+      : null
+  };
+}
+
+/**
+ * Format block time response
+ * @param {Object} block - Created block
+ * @param {Array<Object>} conflicts - Existing appointments overlapping the block
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Formatted response
+ */
+export function formatBlockResponse(block, conflicts, tenantId) {
+  const config = loadTenantConfig(tenantId);
+  const stylist = (config.stylists || []).find(s => s.id === block.stylist_id);
+
+  const response = {
+    success: true,
+    message: 'تم حجب الوقت بنجاح',
+    block_id: block.block_id,
+    details: {
+      date: formatDateArabic(block.date),
+      day: getDayNameArabic(block.date),
+      start_time: block.start_time,
+      end_time: block.end_time,
+      stylist: stylist ? stylist.name : null,
+      reason: block.reason
+    },
+    conflicting_appointments: conflicts.map(apt => apt.booking_id)
+  };
+
+  if (conflicts.length > 0) {
+    response.warning = `يوجد ${conflicts.length} موعد محجوز في هذا الوقت`;
+  }
+
+  return response;
+}
+
+/**
+ * Format unblock time response
+ * @param {Object} block - Removed block
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Formatted response
+ */
+export function formatUnblockResponse(block, tenantId) {
+  return {
+    success: true,
+    message: 'تم إلغاء حجب الوقت بنجاح',
+    block_id: block.block_id,
+    details: {
+      date: formatDateArabic(block.date),
+      start_time: block.start_time,
+      end_time: block.end_time
+    }
+  };
+}
+
+/**
+ * Format waitlist entry response
+ * @param {Object} entry - Waitlist entry
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} [message] - Override message
+ * @returns {Object} Formatted response
+ */
+export function formatWaitlistResponse(entry, tenantId, message = null) {
+  const config = loadTenantConfig(tenantId);
+  const stylist = (config.stylists || []).find(s => s.id === entry.stylist_id);
+
+  const response = {
+    success: true,
+    message: message || 'تمت إضافتك إلى قائمة الانتظار، وسنرسل لك رسالة عند توفر موعد',
+    waitlist_id: entry.waitlist_id,
+    status: entry.status,
+    details: {
+      customer_name: entry.customer_name,
+      service: entry.service_name,
+      date: formatDateArabic(entry.date),
+      day: getDayNameArabic(entry.date),
+      time_from: entry.time_from,
+      time_to: entry.time_to,
+      stylist: stylist ? stylist.name : null
+    }
+  };
+
+  if (entry.status === 'offered' && entry.offer) {
+    response.offer = {
+      time: entry.offer.time,
+      stylist: entry.offer.stylist_name,
+      hold_until: entry.offer.hold_until
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Format leave waitlist response
+ * @param {Object} entry - Waitlist entry that was removed
+ * @returns {Object} Formatted response
+ */
+export function formatLeaveWaitlistResponse(entry) {
+  return {
+    success: true,
+    message: 'تم حذفك من قائمة الانتظار',
+    waitlist_id: entry.waitlist_id,
+    details: {
+      date: formatDateArabic(entry.date),
+      service: entry.service_name
+    }
+  };
+}
+
+/**
+ * Format payment response
+ * @param {Object} appointment - Appointment after the payment
+ * @param {string} tenantId - Tenant identifier
+ * @param {boolean} duplicate - True if this payment reference was already recorded
+ * @returns {Object} Formatted response
+ */
+export function formatPaymentResponse(appointment, tenantId, duplicate) {
+  let message;
+  if (duplicate) {
+    message = 'تم تسجيل هذه الدفعة مسبقاً';
+  } else if (appointment.status === 'confirmed') {
+    message = 'تم استلام العربون وتأكيد الحجز';
+  } else {
+    const remaining = Math.round((appointment.deposit_amount - appointment.amount_paid) * 1000) / 1000;
+    message = `تم استلام دفعة جزئية. المتبقي ${remaining} ${appointment.deposit_currency}`;
+  }
+
+  return {
+    success: true,
+    message,
+    booking_id: appointment.booking_id,
+    status: getStatusArabic(appointment.status),
+    deposit: formatDeposit(appointment)
+  };
+}
+
+/**
+ * Format slot suggestions response
+ * @param {Array<Object>} suggestions - Suggestions from suggestSlots
+ * @param {string} date - Requested date
+ * @param {string} time - Requested time
+ * @param {Object} service - Service object
+ * @returns {Object} Formatted response
+ */
+export function formatSuggestionsResponse(suggestions, date, time, service) {
+  return {
+    success: true,
+    requested: {
+      date: formatDateArabic(date),
+      day: getDayNameArabic(date),
+      time
+    },
+    service: `${service.name} (${service.duration_minutes} دقيقة)`,
+    suggestions: suggestions.map(formatSuggestion),
+    total: suggestions.length,
+    message: suggestions.length > 0
+      ? `يوجد ${suggestions.length} موعد بديل قريب من الوقت المطلوب`
+      : 'لا توجد مواعيد بديلة قريبة، يمكنك الانضمام لقائمة الانتظار'
+  };
+}
+
+/**
+ * Format a booking that failed because the slot is taken, with alternative slots
+ * @param {string} error - Error message
+ * @param {Array<Object>} suggestions - Suggestions from suggestSlots
+ * @returns {Object} Error response with `alternatives`
+ */
+export function formatBookingUnavailable(error, suggestions) {
+  return {
+    ...formatError(error),
+    alternatives: suggestions.map(formatSuggestion)
+  };
+}
+
+/**
+ * Format one suggested slot
+ * `date` stays YYYY-MM-DD so it can be passed straight back to book_appointment.
+ * @param {Object} suggestion - { date, time, stylists, reason }
+ * @returns {Object} Formatted suggestion
+ */
+function formatSuggestion(suggestion) {
+  const reasons = {
+    same_day: 'وقت قريب في نفس اليوم',
+    same_time: 'نفس الوقت في يوم آخر',
+    preferred_stylist: 'مع الكوافيرة المعتادة',
+    other_stylist: 'كوافيرة أخرى في نفس الوقت'
+  };
+
+  return {
+    date: suggestion.date,
+    day: getDayNameArabic(suggestion.date),
+    time: suggestion.time,
+    stylists: suggestion.stylists,
+    reason: suggestion.reason,
+    reason_ar: reasons[suggestion.reason]
+  };
+}
+
+/**
+ * Format recurring series booking response
+ * @param {Object} series - Series record
+ * @param {Array<Object>} appointments - Booked occurrences
+ * @param {Array<Object>} skipped - Occurrences not booked ({ date, time, reason, alternatives })
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Formatted response
+ */
+export function formatSeriesResponse(series, appointments, skipped, tenantId) {
+  const config = loadTenantConfig(tenantId);
+  const first = appointments[0];
+
+  const response = {
+    success: true,
+    series_id: series.series_id,
+    message: `تم حجز ${appointments.length} مواعيد متكررة ${formatRecurrence(series.recurrence)} في ${config.salon_info.name}`,
+    details: {
+      customer_name: first.customer_name,
+      service: first.service_name,
+      time: series.time,
+      duration: `${first.service_duration} دقيقة`,
+      recurrence: formatRecurrence(series.recurrence),
+      salon_name: config.salon_info.name,
+      salon_phone: config.salon_info.phone
+    },
+    appointments: appointments.map(apt => ({
+      booking_id: apt.booking_id,
+      date: formatDateArabic(apt.date),
+      day: getDayNameArabic(apt.date),
+      time: apt.time,
+      stylist: apt.stylist_name || null,
+      status: getStatusArabic(apt.status),
+      deposit: formatDeposit(apt)
+    })),
+    skipped: skipped.map(formatSeriesConflict)
+  };
+
+  if (skipped.length > 0) {
+    response.warning = `لم يتم حجز ${skipped.length} من المواعيد بسبب التعارض`;
+  }
+
+  return response;
+}
+
+/**
+ * Format a series that could not be booked because some occurrences conflict
+ * @param {Array<Object>} conflicts - Conflicting occurrences ({ date, time, reason, alternatives })
+ * @param {number} total - Number of occurrences requested
+ * @returns {Object} Error response listing each conflict with alternative times
+ */
+export function formatSeriesConflicts(conflicts, total) {
+  return {
+    ...formatError(`يوجد تعارض في ${conflicts.length} من ${total} مواعيد، لم يتم حجز أي موعد`),
+    conflicts: conflicts.map(formatSeriesConflict)
+  };
+}
+
+/**
+ * Format the result of cancelling or rescheduling a whole series
+ * @param {string} seriesId - Series ID
+ * @param {string} action - 'cancel' or 'reschedule'
+ * @param {Array<Object>} done - Updated appointments
+ * @param {Array<Object>} failed - Occurrences that could not be changed ({ booking_id, date, time, reason, alternatives })
+ * @param {string} tenantId - Tenant identifier
+ * @returns {Object} Formatted response
+ */
+export function formatSeriesUpdateResponse(seriesId, action, done, failed, tenantId) {
+  const verb = action === 'cancel' ? 'إلغاء' : 'تعديل';
+
+  if (done.length === 0 && failed.length === 0) {
+    return formatError('لا توجد مواعيد قادمة في هذه السلسلة');
+  }
+
+  const response = {
+    success: done.length > 0,
+    series_id: seriesId,
+    message: done.length > 0
+      ? `تم ${verb} ${done.length} من مواعيد السلسلة`
+      : `لم يتم ${verb} أي موعد من مواعيد السلسلة`,
+    appointments: done.map(apt => formatAppointmentDetails(apt, tenantId)),
+    failed: failed.map(item => ({
+      booking_id: item.booking_id,
+      ...formatSeriesConflict(item)
+    }))
+  };
+
+  if (failed.length > 0) {
+    response.warning = `تعذر ${verb} ${failed.length} من المواعيد`;
+  }
+
+  return response;
+}
+
+/**
+ * Format one occurrence that could not be booked or changed
+ * @param {Object} conflict - { date, time, reason, alternatives }
+ * @returns {Object} Formatted conflict
+ */
+function formatSeriesConflict(conflict) {
+  return {
+    date: formatDateArabic(conflict.date),
+    day: getDayNameArabic(conflict.date),
+    time: conflict.time,
+    reason: conflict.reason,
+    alternatives: conflict.alternatives || []
+  };
+}
+
+/**
+ * Describe a recurrence rule in Arabic
+ * @param {Object} recurrence - Rule { interval }
+ * @returns {string} e.g. 'كل أسبوع', 'كل أسبوعين'
+ */
+function formatRecurrence(recurrence) {
+  const interval = recurrence?.interval || 1;
+
+  if (interval === 1) {
+    return 'كل أسبوع';
+  }
+
+  if (interval === 2) {
+    return 'كل أسبوعين';
+  }
+
+  return `كل ${interval} أسابيع`;
+}
+
 /**
  * Format error response
  * @param {string|Array<string>} errors - Error message(s)
@@ -164,13 +714,39 @@ export function formatError(errors) {
  * @returns {string} Arabic status
  */
 function getStatusArabic(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+/**
+ * Get appointment history action in Arabic
+ * @param {string} action - Event action
+ * @returns {string} Arabic action
+ */
+function getActionArabic(action) {
+  const actionMap = {
+    create: 'إنشاء الحجز',
+    update: 'تعديل الموعد',
+    cancel: 'إلغاء الموعد',
+    status_change: 'تغيير الحالة',
+    payment: 'دفعة'
+  };
+
+  return actionMap[action] || action;
+}
+
+/**
+ * Get payment status in Arabic
+ * @param {string} status - Payment status code
+ * @returns {string|null} Arabic payment status
+ */
+function getPaymentStatusArabic(status) {
   const statusMap = {
-    confirmed: 'مؤكد',
-    pending: 'قيد الانتظار',
-    cancelled: 'ملغي',
-    completed: 'مكتمل',
-    'no-show': 'لم يحضر'
+    unpaid: 'غير مدفوع',
+    partially_paid: 'مدفوع جزئياً',
+    paid: 'مدفوع',
+    expired: 'انتهت المهلة',
+    refund_pending: 'قيد الاسترجاع'
   };
 
-  return statusMap[status] || status;
+  return statusMap[status] || status || null;
 }
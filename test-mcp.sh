@@ -9,6 +9,7 @@ TEST_PHONE="+96599888777"
 TEST_DATE="2025-10-11"
 TEST_TIME="14:00"
 SERVICE_ID="SRV-002"
+API_KEY="${API_KEY:?Set API_KEY (issue one with: npm run keys -- issue --tenant salon-farah)}"
 
 echo "🧪 Testing Salon Receptionist MCP..."
 echo "========================================"
@@ -26,6 +27,7 @@ echo "2️⃣  List Available Tools (MCP Protocol)"
 echo "----------------------------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d '{
     "jsonrpc": "2.0",
     "method": "tools/list",
@@ -39,6 +41,7 @@ echo "3️⃣  Get Available Slots"
 echo "------------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
@@ -60,6 +63,7 @@ echo "4️⃣  Book Appointment"
 echo "---------------------"
 BOOKING_RESPONSE=$(curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
@@ -92,6 +96,7 @@ echo "5️⃣  Find Appointment by Booking ID"
 echo "------------------------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
@@ -112,6 +117,7 @@ echo "6️⃣  Find Appointments by Phone"
 echo "--------------------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
@@ -132,6 +138,7 @@ echo "7️⃣  Update Appointment Time"
 echo "-----------------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
@@ -154,6 +161,7 @@ echo "8️⃣  Cancel Appointment"
 echo "-----------------------"
 curl -s -X POST $BASE_URL/mcp \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $API_KEY" \
   -d "{
     \"jsonrpc\": \"2.0\",
     \"method\": \"tools/call\",
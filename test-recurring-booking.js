@@ -0,0 +1,191 @@
+/**
+ * Test Recurring Booking Race
+ * Takes one occurrence of a weekly series while the series is being booked
+ * Without skip_conflicts nothing may stay booked; with it the free occurrences are kept
+ */
+
+import dayjs from 'dayjs';
+import database from './src/services/database.js';
+import { bookAppointment } from './src/tools/bookAppointment.js';
+import { bookRecurring } from './src/tools/bookRecurring.js';
+import { formatDateArabic } from './src/utils/dateHelpers.js';
+
+const TEST_TENANT = 'salon-farah';
+const TEST_PHONE_PREFIX = '+96597';
+const TEST_STYLIST = 'STY-003';
+
+// Three Wednesdays, the first at least three days out (all inside advance_booking_days)
+let testDay = dayjs().add(3, 'day');
+while (testDay.day() !== 3) {
+  testDay = testDay.add(1, 'day');
+}
+const DATES = [0, 1, 2].map(week => testDay.add(week, 'week').format('YYYY-MM-DD'));
+
+/**
+ * Book the last occurrence's slot with the series' stylist as soon as the series has
+ * inserted its first appointment, i.e. after the series checked every occurrence
+ * @param {string} time - Series time (HH:MM)
+ * @returns {Function} Restores the database
+ */
+function raceLastOccurrence(time) {
+  const getCollection = database.getCollection.bind(database);
+  let raced = false;
+
+  database.getCollection = (tenantId, name) => {
+    const col = getCollection(tenantId, name);
+    if (name !== 'appointments') {
+      return col;
+    }
+
+    const insertOne = async (doc, ...rest) => {
+      const result = await col.insertOne(doc, ...rest);
+      if (doc.series_id && !raced) {
+        raced = true;
+        await bookAppointment({
+          tenant_id: TEST_TENANT,
+          customer_name: 'عميلة منافسة',
+          phone_number: `${TEST_PHONE_PREFIX}${time.replace(':', '')}99`,
+          service_id: 'SRV-001',
+          date: DATES[2],
+          time,
+          stylist_id: TEST_STYLIST
+        });
+      }
+      return result;
+    };
+
+    return new Proxy(col, {
+      get(target, prop) {
+        if (prop === 'insertOne') {
+          return insertOne;
+        }
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  };
+
+  return () => {
+    database.getCollection = getCollection;
+  };
+}
+
+/**
+ * Book a three-week series with the test stylist
+ * @param {string} time - Time (HH:MM)
+ * @param {string} phoneNumber - Customer phone
+ * @param {boolean} skipConflicts - Book the free occurrences when some conflict
+ * @returns {Promise<Object>} Series booking result
+ */
+function bookSeries(time, phoneNumber, skipConflicts) {
+  return bookRecurring({
+    tenant_id: TEST_TENANT,
+    customer_name: 'عميلة اختبار',
+    phone_number: phoneNumber,
+    service_id: 'SRV-001',
+    date: DATES[0],
+    time,
+    stylist_id: TEST_STYLIST,
+    recurrence: { frequency: 'weekly', count: 3 },
+    skip_conflicts: skipConflicts
+  });
+}
+
+/**
+ * Remove the test bookings with their events, series, profiles and rate limit counters
+ * @returns {Promise<void>}
+ */
+async function cleanUp() {
+  const appointmentsCol = database.getCollection(TEST_TENANT, 'appointments');
+  const bookings = await appointmentsCol.find({ date: { $in: DATES } }).toArray();
+
+  await database.getCollection(TEST_TENANT, 'appointment_events').deleteMany({
+    booking_id: { $in: bookings.map(apt => apt.booking_id) }
+  });
+  await appointmentsCol.deleteMany({ date: { $in: DATES } });
+  await database.getCollection(TEST_TENANT, 'series').deleteMany({
+    phone_number: { $regex: `^\\${TEST_PHONE_PREFIX}` }
+  });
+  await database.getCollection(TEST_TENANT, 'customers').deleteMany({
+    phone_number: { $regex: `^\\${TEST_PHONE_PREFIX}` }
+  });
+  await database.getCollection('system', 'rate_limits').deleteMany({
+    _id: { $regex: `^booking:${TEST_TENANT}:\\${TEST_PHONE_PREFIX}` }
+  });
+}
+
+async function runTest() {
+  try {
+    console.log('🧪 Testing Recurring Booking Race\n');
+
+    // Connect to database
+    console.log('Connecting to database...');
+    await database.connect();
+    console.log('✅ Connected\n');
+
+    // Clean up any existing test bookings
+    console.log('Cleaning up test data...');
+    await cleanUp();
+    const appointmentsCol = database.getCollection(TEST_TENANT, 'appointments');
+
+    const checks = {};
+    const expect = (name, passed, detail = '') => {
+      checks[name] = passed;
+      console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    console.log(`\n1️⃣ Series on ${DATES.join(', ')} without skip_conflicts...`);
+    const allPhone = `${TEST_PHONE_PREFIX}100000`;
+    let restore = raceLastOccurrence('10:00');
+    let result = await bookSeries('10:00', allPhone, false);
+    restore();
+
+    const allBooked = await appointmentsCol.find({ phone_number: allPhone }).toArray();
+    const customer = await database.getCollection(TEST_TENANT, 'customers').findOne({ phone_number: allPhone });
+    const series = await database.getCollection(TEST_TENANT, 'series').findOne({ phone_number: allPhone });
+    expect(
+      'Lost occurrence reported as a conflict',
+      result.success === false && result.conflicts?.length === 1 && result.conflicts[0].date === formatDateArabic(DATES[2]),
+      result.message
+    );
+    expect(
+      'Occurrences already booked are cancelled',
+      allBooked.length === 2 && allBooked.every(apt => apt.status === 'cancelled'),
+      allBooked.map(apt => apt.status).join(', ')
+    );
+    expect('No series saved', series === null);
+    expect('Release not counted as a cancellation', (customer?.cancellation_count || 0) === 0);
+
+    console.log('\n2️⃣ Series with skip_conflicts...');
+    const skipPhone = `${TEST_PHONE_PREFIX}200000`;
+    restore = raceLastOccurrence('11:00');
+    result = await bookSeries('11:00', skipPhone, true);
+    restore();
+
+    const skipBooked = await appointmentsCol.find({ phone_number: skipPhone, status: 'confirmed' }).toArray();
+    expect(
+      'Free occurrences kept and the lost one skipped',
+      result.success === true && skipBooked.length === 2 && result.skipped?.length === 1,
+      result.message
+    );
+
+    // Summary
+    const passedCount = Object.values(checks).filter(Boolean).length;
+    console.log(`\n📊 Test Summary: ${passedCount}/${Object.keys(checks).length} checks passed`);
+
+    // Cleanup
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanUp();
+    console.log('   ✅ Cleanup complete');
+
+    const passed = Object.values(checks).every(Boolean);
+    console.log(passed ? '\n✅ Recurring booking test passed!\n' : '\n❌ Recurring booking test failed!\n');
+    process.exit(passed ? 0 : 1);
+
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+runTest();
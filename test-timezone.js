@@ -0,0 +1,155 @@
+/**
+ * Test Tenant Timezones
+ * Runs with the host clock in UTC and checks that every date computation
+ * follows the tenant's settings.timezone instead of the server's TZ
+ */
+
+import dayjs from 'dayjs';
+import database from './src/services/database.js';
+import { bookAppointment } from './src/tools/bookAppointment.js';
+import { updateAppointment } from './src/tools/updateAppointment.js';
+import { cancelAppointment } from './src/tools/cancelAppointment.js';
+import { loadTenantConfig } from './src/services/tenantLoader.js';
+import { validateDate, validateLeadTime } from './src/services/validator.js';
+import { getCurrentDate, now, parseDateTime } from './src/utils/dateHelpers.js';
+
+// Simulate a server running in UTC, whatever this machine is set to
+process.env.TZ = 'UTC';
+
+const RIYADH_TENANT = 'salon-farah';
+const DUBAI_TENANT = 'salon-lamar';
+const TEST_SERVICE = 'SRV-001';
+const PAST_BOOKING_ID = 'BK-salon-farah-19990101-001';
+
+// Next Wednesday (every Salon Farah stylist works and performs SRV-001)
+let testDay = dayjs().add(1, 'day');
+while (testDay.day() !== 3) {
+  testDay = testDay.add(1, 'day');
+}
+const TEST_DATE = testDay.format('YYYY-MM-DD');
+
+/**
+ * Today's date in a timezone, computed independently of dayjs
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function dateInZone(timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+}
+
+async function runTest() {
+  try {
+    console.log('🧪 Testing Tenant Timezones\n');
+    console.log(`Host TZ: ${process.env.TZ} (offset ${new Date().getTimezoneOffset()} minutes)\n`);
+
+    // Move the two salons to Riyadh (UTC+3) and Dubai (UTC+4) for this run
+    loadTenantConfig(RIYADH_TENANT).settings.timezone = 'Asia/Riyadh';
+    loadTenantConfig(DUBAI_TENANT).settings.timezone = 'Asia/Dubai';
+
+    const checks = {};
+
+    // 1. Local date/time to UTC instant
+    console.log('1️⃣ Converting local times to UTC...');
+    checks.riyadhInstant = parseDateTime('2026-03-01', '10:00', RIYADH_TENANT).toISOString() === '2026-03-01T07:00:00.000Z';
+    checks.dubaiInstant = parseDateTime('2026-03-01', '10:00', DUBAI_TENANT).toISOString() === '2026-03-01T06:00:00.000Z';
+
+    // 2. "Today" follows the salon, not the host
+    console.log('2️⃣ Checking today\'s date per salon...');
+    checks.riyadhToday = getCurrentDate(RIYADH_TENANT) === dateInZone('Asia/Riyadh');
+    checks.dubaiToday = getCurrentDate(DUBAI_TENANT) === dateInZone('Asia/Dubai');
+
+    const salonYesterday = now(RIYADH_TENANT).subtract(1, 'day').format('YYYY-MM-DD');
+    checks.pastDateRejected = validateDate(RIYADH_TENANT, salonYesterday).error === 'لا يمكن الحجز في تاريخ سابق';
+    checks.todayAccepted = validateDate(RIYADH_TENANT, getCurrentDate(RIYADH_TENANT)).error !== 'لا يمكن الحجز في تاريخ سابق';
+
+    // 3. Lead time is measured in the salon's timezone
+    console.log('3️⃣ Checking minimum booking notice...');
+    const notice = loadTenantConfig(RIYADH_TENANT).settings.min_booking_notice_minutes;
+    const tooSoon = now(RIYADH_TENANT).add(notice / 2, 'minute');
+    const farEnough = now(RIYADH_TENANT).add(notice + 30, 'minute');
+    checks.leadTimeRejected = !validateLeadTime(RIYADH_TENANT, tooSoon.format('YYYY-MM-DD'), tooSoon.format('HH:mm')).valid;
+    checks.leadTimeAccepted = validateLeadTime(RIYADH_TENANT, farEnough.format('YYYY-MM-DD'), farEnough.format('HH:mm')).valid;
+
+    // Connect to database
+    console.log('\nConnecting to database...');
+    await database.connect();
+    console.log('✅ Connected\n');
+
+    const appointmentsCol = database.getCollection(RIYADH_TENANT, 'appointments');
+    await appointmentsCol.deleteMany({ date: TEST_DATE });
+    await appointmentsCol.deleteMany({ booking_id: PAST_BOOKING_ID });
+
+    // 4. Bookings store the UTC instant next to the local date/time
+    console.log('4️⃣ Booking and rescheduling...');
+    const booking = await bookAppointment({
+      tenant_id: RIYADH_TENANT,
+      customer_name: 'عميل اختبار التوقيت',
+      phone_number: '+96599000001',
+      service_id: TEST_SERVICE,
+      date: TEST_DATE,
+      time: '14:00',
+      notes: 'Timezone test booking'
+    });
+
+    const booked = await appointmentsCol.findOne({ booking_id: booking.booking_id });
+    checks.bookingStartsAt = booked?.starts_at === `${TEST_DATE}T11:00:00.000Z`;
+    checks.bookingEndsAt = booked?.ends_at === dayjs(`${TEST_DATE}T11:00:00.000Z`).add(booked.service_duration, 'minute').toISOString();
+
+    await updateAppointment({
+      tenant_id: RIYADH_TENANT,
+      booking_id: booking.booking_id,
+      new_time: '15:00'
+    });
+
+    const moved = await appointmentsCol.findOne({ booking_id: booking.booking_id });
+    checks.rescheduleStartsAt = moved?.time === '15:00' && moved?.starts_at === `${TEST_DATE}T12:00:00.000Z`;
+
+    // 5. Cancellation window: an appointment that started an hour ago (salon time)
+    // must read as past, even though its local time is still ahead in UTC
+    console.log('5️⃣ Checking cancellation window...');
+    const anHourAgo = now(RIYADH_TENANT).subtract(1, 'hour');
+    await appointmentsCol.insertOne({
+      booking_id: PAST_BOOKING_ID,
+      tenant_id: RIYADH_TENANT,
+      customer_name: 'عميل اختبار التوقيت',
+      phone_number: '+96599000002',
+      service_id: TEST_SERVICE,
+      service_duration: 60,
+      date: anHourAgo.format('YYYY-MM-DD'),
+      time: anHourAgo.format('HH:mm'),
+      status: 'confirmed'
+    });
+
+    const cancellation = await cancelAppointment({
+      tenant_id: RIYADH_TENANT,
+      booking_id: PAST_BOOKING_ID,
+      cancellation_reason: 'Timezone test'
+    });
+    checks.pastCancellationRejected = cancellation.message === 'لا يمكن إلغاء موعد انتهى بالفعل';
+
+    // Summary
+    console.log('\n📊 Test Summary:');
+    for (const [name, passed] of Object.entries(checks)) {
+      console.log(`   - ${name}: ${passed ? 'Yes ✅' : 'No ❌'}`);
+    }
+
+    // Cleanup
+    console.log('\n🧹 Cleaning up test data...');
+    await appointmentsCol.deleteMany({ date: TEST_DATE });
+    await appointmentsCol.deleteMany({ booking_id: PAST_BOOKING_ID });
+    await database.getCollection(RIYADH_TENANT, 'customers').deleteMany({
+      phone_number: { $in: ['+96599000001', '+96599000002'] }
+    });
+    console.log('   ✅ Cleanup complete');
+
+    const passed = Object.values(checks).every(Boolean);
+    console.log(passed ? '\n✅ Timezone test passed!\n' : '\n❌ Timezone test failed!\n');
+    process.exit(passed ? 0 : 1);
+
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,273 @@
+/**
+ * Test Update Appointment Capacity
+ * Moves bookings and changes their service around partly and fully booked slots
+ * Each combination of date/time/service change must use the same capacity check and
+ * stylist assignment as a new booking, without the booking counting against itself
+ */
+
+import dayjs from 'dayjs';
+import database from './src/services/database.js';
+import { bookAppointment } from './src/tools/bookAppointment.js';
+import { updateAppointment } from './src/tools/updateAppointment.js';
+
+const TEST_TENANT = 'salon-farah';
+const TEST_PHONE_PREFIX = '+96598';
+const NO_STYLIST_ERROR = 'لا توجد كوافيرة متاحة في هذا الوقت';
+
+// Wednesdays at least three days out (every Salon Farah stylist works, and moving to the
+// later one stays outside the late cancellation window)
+let testDay = dayjs().add(3, 'day');
+while (testDay.day() !== 3) {
+  testDay = testDay.add(1, 'day');
+}
+const DATE_1 = testDay.format('YYYY-MM-DD');
+const DATE_2 = testDay.add(7, 'day').format('YYYY-MM-DD');
+
+let customerCount = 0;
+
+/**
+ * Book an appointment for a new test customer
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {string} [serviceId='SRV-001'] - Service ID
+ * @param {string} [stylistId] - Requested stylist
+ * @returns {Promise<Object>} Booking result
+ */
+async function book(date, time, serviceId = 'SRV-001', stylistId = undefined) {
+  customerCount++;
+  const result = await bookAppointment({
+    tenant_id: TEST_TENANT,
+    customer_name: `عميل اختبار ${customerCount}`,
+    phone_number: `${TEST_PHONE_PREFIX}${String(customerCount).padStart(6, '0')}`,
+    service_id: serviceId,
+    date,
+    time,
+    stylist_id: stylistId
+  });
+
+  if (!result.success) {
+    throw new Error(`Setup booking failed at ${date} ${time}: ${result.message}`);
+  }
+  return result;
+}
+
+/**
+ * Fill a slot with SRV-001 bookings
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {number} count - Number of bookings
+ * @returns {Promise<void>}
+ */
+async function fill(date, time, count) {
+  for (let i = 0; i < count; i++) {
+    await book(date, time);
+  }
+}
+
+/**
+ * Update a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} changes - new_date, new_time and/or new_service_id
+ * @returns {Promise<Object>} Update result
+ */
+function update(bookingId, changes) {
+  return updateAppointment({ tenant_id: TEST_TENANT, booking_id: bookingId, ...changes });
+}
+
+/**
+ * Remove the test bookings with their events, and the test customers' profiles and
+ * booking rate limit counters (kept when RATE_LIMIT_STORE=mongo)
+ * @returns {Promise<void>}
+ */
+async function cleanUp() {
+  const appointmentsCol = database.getCollection(TEST_TENANT, 'appointments');
+  const bookings = await appointmentsCol.find({ date: { $in: [DATE_1, DATE_2] } }).toArray();
+
+  await database.getCollection(TEST_TENANT, 'appointment_events').deleteMany({
+    booking_id: { $in: bookings.map(apt => apt.booking_id) }
+  });
+  await appointmentsCol.deleteMany({ date: { $in: [DATE_1, DATE_2] } });
+  await database.getCollection(TEST_TENANT, 'customers').deleteMany({
+    phone_number: { $regex: `^\\${TEST_PHONE_PREFIX}` }
+  });
+  await database.getCollection('system', 'rate_limits').deleteMany({
+    _id: { $regex: `^booking:${TEST_TENANT}:\\${TEST_PHONE_PREFIX}` }
+  });
+}
+
+async function runTest() {
+  try {
+    console.log('🧪 Testing Update Appointment Capacity\n');
+
+    // Connect to database
+    console.log('Connecting to database...');
+    await database.connect();
+    console.log('✅ Connected\n');
+
+    // Clean up any existing test bookings
+    console.log('Cleaning up test data...');
+    await cleanUp();
+    const appointmentsCol = database.getCollection(TEST_TENANT, 'appointments');
+
+    // Slots with one free chair, and full slots (5 stylists, max_concurrent_bookings 5)
+    console.log(`\n1️⃣ Booking ${DATE_1} and ${DATE_2}...`);
+    await fill(DATE_1, '15:00', 4);
+    await fill(DATE_1, '16:00', 5);
+    await fill(DATE_1, '11:30', 5);
+    await fill(DATE_2, '19:00', 4);
+    await fill(DATE_2, '17:00', 4);
+    await fill(DATE_2, '12:00', 5);
+    const stored = await appointmentsCol.find({ date: { $in: [DATE_1, DATE_2] } }).toArray();
+    const ownSlot = stored.find(apt => apt.date === DATE_1 && apt.time === '16:00');
+    console.log(`   Booked ${stored.length} appointments`);
+
+    const checks = {};
+    const expect = (name, passed, detail = '') => {
+      checks[name] = passed;
+      console.log(`   ${passed ? '✅' : '❌'} ${name}${detail ? ` (${detail})` : ''}`);
+    };
+
+    console.log('\n2️⃣ Time only...');
+    const timeOnly = await book(DATE_1, '13:00');
+    let result = await update(timeOnly.booking_id, { new_time: '15:00' });
+    expect('Time into a slot with one free chair', result.success === true, result.message);
+    result = await update(timeOnly.booking_id, { new_time: '16:00' });
+    expect('Time into a full slot rejected', result.message === NO_STYLIST_ERROR, result.message);
+
+    console.log('\n3️⃣ Date only...');
+    const dateOnly = await book(DATE_1, '19:00');
+    result = await update(dateOnly.booking_id, { new_date: DATE_2 });
+    expect('Date into a slot with one free chair', result.success === true, result.message);
+
+    console.log('\n4️⃣ Service only...');
+    const serviceOnly = await book(DATE_1, '11:00', 'SRV-001', 'STY-005');
+    result = await update(serviceOnly.booking_id, { new_service_id: 'SRV-002' });
+    expect('Longer service overlapping a full slot rejected', result.success === false, result.message);
+
+    const restyled = await book(DATE_1, '18:00', 'SRV-001', 'STY-005');
+    result = await update(restyled.booking_id, { new_service_id: 'SRV-002' });
+    const restyledApt = await appointmentsCol.findOne({ booking_id: restyled.booking_id });
+    expect(
+      'Service change reassigns a qualified stylist',
+      result.success === true && ['STY-001', 'STY-002'].includes(restyledApt.stylist_id) && restyledApt.end_time === '20:00',
+      restyledApt.stylist_id
+    );
+
+    result = await update(ownSlot.booking_id, { new_service_id: 'SRV-001' });
+    expect('Service change in its own full slot', result.success === true, result.message);
+
+    console.log('\n5️⃣ Date and time...');
+    const dateTime = await book(DATE_1, '17:00');
+    result = await update(dateTime.booking_id, { new_date: DATE_2, new_time: '17:00' });
+    expect('Date and time into a slot with one free chair', result.success === true, result.message);
+    result = await update(dateTime.booking_id, { new_date: DATE_1, new_time: '16:00' });
+    expect('Date and time into a full slot rejected', result.message === NO_STYLIST_ERROR, result.message);
+
+    console.log('\n6️⃣ Time and service...');
+    const timeService = await book(DATE_1, '13:30');
+    result = await update(timeService.booking_id, { new_time: '11:00', new_service_id: 'SRV-005' });
+    expect('Time and longer service overlapping a full slot rejected', result.success === false, result.message);
+    result = await update(timeService.booking_id, { new_time: '14:00', new_service_id: 'SRV-005' });
+    const timeServiceApt = await appointmentsCol.findOne({ booking_id: timeService.booking_id });
+    expect(
+      'Time and service into a free slot',
+      result.success === true && timeServiceApt.end_time === '15:00' && ['STY-003', 'STY-004'].includes(timeServiceApt.stylist_id),
+      timeServiceApt.stylist_id
+    );
+
+    console.log('\n7️⃣ Date and service...');
+    const dateService = await book(DATE_1, '11:00');
+    result = await update(dateService.booking_id, { new_date: DATE_2, new_service_id: 'SRV-002' });
+    expect('Date and longer service overlapping a full slot rejected', result.success === false, result.message);
+    const dateService2 = await book(DATE_1, '14:00');
+    result = await update(dateService2.booking_id, { new_date: DATE_2, new_service_id: 'SRV-006' });
+    expect('Date and service into a free slot', result.success === true, result.message);
+
+    console.log('\n8️⃣ Date, time and service...');
+    const all = await book(DATE_1, '13:00');
+    result = await update(all.booking_id, { new_date: DATE_2, new_time: '11:30', new_service_id: 'SRV-004' });
+    expect('All three overlapping a full slot rejected', result.success === false, result.message);
+    result = await update(all.booking_id, { new_date: DATE_2, new_time: '13:00', new_service_id: 'SRV-004' });
+    const allApt = await appointmentsCol.findOne({ booking_id: all.booking_id });
+    expect(
+      'All three into a free slot',
+      result.success === true && allApt.date === DATE_2 && allApt.end_time === '14:30' && ['STY-003', 'STY-004'].includes(allApt.stylist_id),
+      result.message
+    );
+
+    console.log('\n9️⃣ Stylist kept when free...');
+    const kept = await book(DATE_1, '10:00', 'SRV-001', 'STY-003');
+    result = await update(kept.booking_id, { new_time: '10:30' });
+    const keptApt = await appointmentsCol.findOne({ booking_id: kept.booking_id });
+    expect('Moved booking keeps its stylist', result.success === true && keptApt.stylist_id === 'STY-003', keptApt.stylist_id);
+
+    console.log('\n🔟 Service change on deposit bookings...');
+    // Bookings held for a 50% deposit, as under the no-show policy
+    const depositFields = {
+      status: 'pending',
+      payment_status: 'unpaid',
+      deposit_amount: 3.5,
+      deposit_currency: 'KWD',
+      deposit_percentage: 50,
+      amount_paid: 0,
+      payment_due_at: dayjs().add(5, 'minute').toISOString(),
+      payments: []
+    };
+    const unpaid = await book(DATE_2, '10:00');
+    await appointmentsCol.updateOne({ booking_id: unpaid.booking_id }, { $set: depositFields });
+    result = await update(unpaid.booking_id, { new_service_id: 'SRV-005' });
+    const unpaidApt = await appointmentsCol.findOne({ booking_id: unpaid.booking_id });
+    expect(
+      'Unpaid deposit recalculated for the new service',
+      result.success === true && unpaidApt.status === 'pending' && unpaidApt.deposit_amount === 9 &&
+        dayjs(unpaidApt.payment_due_at).isAfter(dayjs(depositFields.payment_due_at)),
+      `${unpaidApt.deposit_amount}`
+    );
+
+    const partlyPaid = await book(DATE_2, '10:30');
+    await appointmentsCol.updateOne(
+      { booking_id: partlyPaid.booking_id },
+      { $set: { ...depositFields, payment_status: 'partially_paid', amount_paid: 1 } }
+    );
+    result = await update(partlyPaid.booking_id, { new_service_id: 'SRV-006' });
+    const partlyPaidApt = await appointmentsCol.findOne({ booking_id: partlyPaid.booking_id });
+    expect(
+      'Service change with a deposit paid rejected',
+      result.success === false && partlyPaidApt.service_id === 'SRV-001' && partlyPaidApt.deposit_amount === 3.5,
+      result.message
+    );
+
+    // Verify no slot ended up over capacity
+    const active = await appointmentsCol.find({
+      date: { $in: [DATE_1, DATE_2] },
+      status: { $in: ['confirmed', 'pending'] }
+    }).toArray();
+    const overbooked = active.some(apt => {
+      const start = dayjs(`${apt.date} ${apt.time}`);
+      const overlapping = active.filter(other => other.date === apt.date &&
+        dayjs(`${other.date} ${other.time}`).isBefore(start.add(1, 'minute')) &&
+        dayjs(`${other.date} ${other.end_time}`).isAfter(start));
+      return overlapping.length > 5 || new Set(overlapping.map(o => o.stylist_id)).size < overlapping.length;
+    });
+    expect('No slot over capacity or stylist double-booked', !overbooked);
+
+    // Summary
+    const passedCount = Object.values(checks).filter(Boolean).length;
+    console.log(`\n📊 Test Summary: ${passedCount}/${Object.keys(checks).length} checks passed`);
+
+    // Cleanup
+    console.log('\n🧹 Cleaning up test data...');
+    await cleanUp();
+    console.log('   ✅ Cleanup complete');
+
+    const passed = Object.values(checks).every(Boolean);
+    console.log(passed ? '\n✅ Update appointment test passed!\n' : '\n❌ Update appointment test failed!\n');
+    process.exit(passed ? 0 : 1);
+
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  }
+}
+
+runTest();